@@ -0,0 +1,310 @@
+const { decodeEntities } = require('./text');
+
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'template']);
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Verificações de acessibilidade feitas offline sobre o HTML gerado (chamadas pela auditoria
+// do build). Devolve a lista de problemas da página, sem o nome do arquivo.
+function auditAccessibility(html) {
+  const elements = parseHtml(html);
+  const problems = [];
+  const byTag = (...tags) => elements.filter((element) => tags.includes(element.tag));
+  const ids = new Map();
+
+  for (const element of elements.filter((candidate) => candidate.attrs.id)) {
+    if (ids.has(element.attrs.id)) {
+      problems.push(`o id "${element.attrs.id}" aparece mais de uma vez.`);
+    } else {
+      ids.set(element.attrs.id, element);
+    }
+  }
+
+  const [root] = byTag('html');
+  if (!root || !root.attrs.lang) {
+    problems.push('o <html> não declara o idioma (lang).');
+  }
+
+  const mains = byTag('main');
+  if (mains.length !== 1) {
+    problems.push(`a página deve ter um único <main> (tem ${mains.length}).`);
+  }
+
+  // O primeiro Tab da página precisa levar direto ao conteúdo.
+  const firstFocusable = elements.find(
+    (element) => isFocusable(element) && closest(element, (parent) => parent.tag === 'body')
+  );
+  const skipTarget =
+    firstFocusable?.tag === 'a' &&
+    firstFocusable.attrs.href.startsWith('#') &&
+    ids.get(decodeURIComponent(firstFocusable.attrs.href.slice(1)));
+
+  if (mains.length === 1 && skipTarget !== mains[0]) {
+    problems.push('o primeiro elemento focável deve ser um link que pula para o <main>.');
+  }
+
+  const headings = elements.filter((element) => /^h[1-6]$/.test(element.tag));
+  const h1Count = headings.filter((heading) => heading.tag === 'h1').length;
+  let previousLevel = 0;
+
+  if (h1Count !== 1) {
+    problems.push(`a página deve ter um único <h1> (tem ${h1Count}).`);
+  }
+
+  for (const heading of headings) {
+    const level = Number(heading.tag[1]);
+
+    if (!heading.text.trim()) {
+      problems.push(`<${heading.tag}> vazio.`);
+    }
+
+    if (level > previousLevel + 1) {
+      problems.push(
+        `<${heading.tag}> "${clip(heading.text)}" pula nível de título (anterior: ${
+          previousLevel ? `<h${previousLevel}>` : 'nenhum'
+        }).`
+      );
+    }
+
+    previousLevel = level;
+  }
+
+  const labelsFor = new Set(byTag('label').map((label) => label.attrs.for));
+
+  for (const image of byTag('img')) {
+    const { alt, src = '' } = image.attrs;
+
+    if (alt === undefined) {
+      problems.push(`<img src="${src}"> sem alt (imagem decorativa usa alt="").`);
+      continue;
+    }
+
+    if (alt.trim() && repeatsNearbyText(image, alt, elements)) {
+      problems.push(
+        `<img src="${src}"> tem alt "${clip(alt)}", que repete o título ao lado; use alt="".`
+      );
+    }
+  }
+
+  for (const control of byTag('input', 'select', 'textarea')) {
+    if (control.tag === 'input' && UNLABELED_INPUT_TYPES.has(control.attrs.type)) {
+      continue;
+    }
+
+    const labeled =
+      hasAriaName(control) ||
+      (control.attrs.id && labelsFor.has(control.attrs.id)) ||
+      closest(control, (parent) => parent.tag === 'label');
+
+    if (!labeled) {
+      problems.push(`${describe(control)} sem rótulo (<label>, aria-label ou aria-labelledby).`);
+    }
+  }
+
+  for (const element of byTag('a', 'button')) {
+    if (element.tag === 'a' && element.attrs.href === undefined) {
+      continue;
+    }
+
+    if (!hasAriaName(element) && !element.label.trim()) {
+      problems.push(`${describe(element)} sem nome acessível.`);
+    }
+  }
+
+  return [...new Set(problems)];
+}
+
+// Tirar o contorno de foco só é aceito quando ele continua visível no :focus-visible.
+function auditFocusStyles(css) {
+  const problems = [];
+
+  for (const [, selector, body] of css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    if (
+      /(^|;)\s*outline(-width)?\s*:\s*(none|0)\b/.test(body) &&
+      !/:not\(:focus-visible\)/.test(selector)
+    ) {
+      problems.push(`"${selector.trim()}" remove o contorno de foco.`);
+    }
+  }
+
+  return problems;
+}
+
+// Árvore mínima do HTML gerado: cada elemento guarda atributos, o pai, o texto dos
+// descendentes (`text`) e o texto somado ao alt das imagens (`label`, o nome acessível).
+function parseHtml(html) {
+  const root = { tag: '#document', attrs: {}, parent: null, text: '', label: '' };
+  const elements = [];
+  const stack = [root];
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  let match;
+
+  const appendText = (text, { toLabel = true, toText = true } = {}) => {
+    for (const element of stack) {
+      if (toText) element.text += text;
+      if (toLabel) element.label += text;
+    }
+  };
+
+  while ((match = pattern.exec(html))) {
+    const [token, closing, rawTag, rawAttributes = ''] = match;
+
+    if (!rawTag) {
+      if (!token.startsWith('<!')) {
+        appendText(decodeEntities(token));
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((element) => element.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const element = { tag, attrs: parseAttributes(rawAttributes), parent: stack.at(-1) };
+    element.text = '';
+    element.label = '';
+    elements.push(element);
+
+    if (tag === 'img' && element.attrs.alt) {
+      appendText(` ${element.attrs.alt} `, { toText: false });
+    }
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = html.toLowerCase().indexOf(`</${tag}`, pattern.lastIndex);
+      pattern.lastIndex = end === -1 ? html.length : end;
+    } else if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+      stack.push(element);
+    }
+  }
+
+  return elements;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+  }
+
+  return attrs;
+}
+
+// Capa de card com alt "Capa de <título>" ao lado do próprio título: o leitor de tela lê o
+// título duas vezes. Compara com o texto do link que envolve a imagem ou com os títulos e a
+// legenda do mesmo <article>/<figure>.
+function repeatsNearbyText(image, alt, elements) {
+  const container = closest(image, (parent) => ['a', 'article', 'figure'].includes(parent.tag));
+  if (!container) {
+    return false;
+  }
+
+  const foldedAlt = fold(alt);
+  const nearby =
+    container.tag === 'a'
+      ? [container.text]
+      : elements
+          .filter(
+            (element) =>
+              /^(h[1-6]|figcaption)$/.test(element.tag) &&
+              closest(element, (parent) => parent === container)
+          )
+          .map((element) => element.text);
+
+  // O título precisa ser a maior parte do alt: "Diagrama dos módulos" não repete um "## Módulos".
+  return nearby
+    .map(fold)
+    .some((text) => text && foldedAlt.includes(text) && text.length * 2 >= foldedAlt.length);
+}
+
+function closest(element, predicate) {
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if (predicate(parent)) {
+      return parent;
+    }
+  }
+  return null;
+}
+
+function isFocusable(element) {
+  if (element.attrs.tabindex !== undefined) {
+    return element.attrs.tabindex !== '-1';
+  }
+
+  switch (element.tag) {
+    case 'a':
+      return element.attrs.href !== undefined;
+    case 'input':
+      return element.attrs.type !== 'hidden';
+    case 'button':
+    case 'select':
+    case 'textarea':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function hasAriaName(element) {
+  return Boolean(
+    (element.attrs['aria-label'] || '').trim() ||
+    element.attrs['aria-labelledby'] ||
+    (element.attrs.title || '').trim()
+  );
+}
+
+function describe(element) {
+  const { id, href, class: className } = element.attrs;
+  const detail = id
+    ? ` id="${id}"`
+    : href !== undefined
+      ? ` href="${href}"`
+      : className
+        ? ` class="${className}"`
+        : '';
+  return `<${element.tag}${detail}>`;
+}
+
+function fold(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function clip(text) {
+  const value = text.replace(/\s+/g, ' ').trim();
+  return value.length > 60 ? `${value.slice(0, 57)}...` : value;
+}
+
+module.exports = {
+  auditAccessibility,
+  auditFocusStyles
+};
@@ -0,0 +1,142 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const {
+  ROOT,
+  paths,
+  NODE_MODULES_DIR,
+  VENDOR_SCRIPTS,
+  VENDOR_FONTS,
+  FONT_SUBSETS,
+  VENDOR_ASSETS,
+  ASSET_MANIFEST,
+  IMAGE_INFO,
+  RASTER_IMAGE_EXTENSIONS
+} = require('./config');
+const { toPublicUrl } = require('./urls');
+const { listFiles, writeHashedAsset } = require('./files');
+const { buildImageVariants } = require('./images');
+
+async function buildAssets() {
+  await fs.rm(path.join(paths.out, 'assets'), { recursive: true, force: true });
+
+  for (const registry of [ASSET_MANIFEST, IMAGE_INFO]) {
+    for (const key of Object.keys(registry)) {
+      delete registry[key];
+    }
+  }
+
+  await copyVendorAssets();
+
+  const files = await listFiles(paths.assets);
+  const isCss = (file) => path.extname(file) === '.css';
+
+  // Imagens e scripts primeiro: o CSS só ganha hash depois de apontar para os nomes finais.
+  for (const file of [...files.filter((file) => !isCss(file)), ...files.filter(isCss)]) {
+    const logicalPath = `/assets/${path.relative(paths.assets, file).split(path.sep).join('/')}`;
+    let content = await fs.readFile(file);
+
+    if (isCss(file)) {
+      content = rewriteCssUrls(content.toString('utf8'), logicalPath);
+    }
+
+    const hashed = await writeHashedAsset(
+      path.posix.dirname(logicalPath).replace(/^\/assets\/?/, ''),
+      path.basename(file),
+      content
+    );
+    ASSET_MANIFEST[logicalPath] = hashed.path;
+
+    if (RASTER_IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      await buildImageVariants(logicalPath, content);
+    }
+  }
+}
+
+function rewriteCssUrls(css, cssPath) {
+  return css.replace(/url\((['"]?)([^'")]+)\1\)/g, (match, quote, url) => {
+    if (/^(data:|https?:|#)/i.test(url)) {
+      return match;
+    }
+
+    const logicalPath = url.startsWith('/')
+      ? url
+      : path.posix.normalize(path.posix.join(path.posix.dirname(cssPath), url));
+    return `url(${quote}${toPublicUrl(logicalPath)}${quote})`;
+  });
+}
+
+async function writeDataFiles(files) {
+  for (const [fileName, data] of Object.entries(files)) {
+    const content = JSON.stringify(data, null, 2);
+    await fs.mkdir(path.dirname(path.join(paths.out, fileName)), { recursive: true });
+    await fs.writeFile(path.join(paths.out, fileName), content, 'utf8');
+
+    const hashed = await writeHashedAsset('data', fileName, content);
+    ASSET_MANIFEST[`/${fileName}`] = hashed.path;
+  }
+}
+
+async function copyVendorAssets() {
+  for (const [name, modulePath] of Object.entries(VENDOR_SCRIPTS)) {
+    const source = await fs.readFile(path.join(NODE_MODULES_DIR, modulePath));
+    VENDOR_ASSETS[name] = await writeHashedAsset('vendor', path.basename(modulePath), source);
+    ASSET_MANIFEST[`/assets/vendor/${path.basename(modulePath)}`] = VENDOR_ASSETS[name].path;
+  }
+
+  const fontFaces = [];
+
+  for (const font of VENDOR_FONTS) {
+    for (const weight of font.weights) {
+      const css = await fs.readFile(
+        path.join(NODE_MODULES_DIR, font.package, `${weight}.css`),
+        'utf8'
+      );
+      const blocks = css
+        .split(/(?=\/\* )/)
+        .filter((block) =>
+          FONT_SUBSETS.some((subset) => new RegExp(`-${subset}-${weight}-normal \\*/`).test(block))
+        );
+
+      for (const block of blocks) {
+        const fileName = block.match(/url\(\.\/files\/([^)]+\.woff2)\)/)[1];
+        const fontFile = await fs.readFile(
+          path.join(NODE_MODULES_DIR, font.package, 'files', fileName)
+        );
+        const hashed = await writeHashedAsset('vendor/fonts', fileName, fontFile);
+
+        fontFaces.push(
+          block
+            .replace(
+              /src:[^;]+;/,
+              `src: url(./fonts/${path.basename(hashed.path)}) format('woff2');`
+            )
+            .trim()
+        );
+      }
+    }
+  }
+
+  VENDOR_ASSETS.fonts = await writeHashedAsset(
+    'vendor',
+    'fonts.css',
+    `${fontFaces.join('\n\n')}\n`
+  );
+  ASSET_MANIFEST['/assets/vendor/fonts.css'] = VENDOR_ASSETS.fonts.path;
+}
+
+async function copyAdsFile() {
+  const adsPath = path.join(ROOT, 'ads.txt');
+
+  try {
+    await fs.access(adsPath);
+    await fs.copyFile(adsPath, path.join(paths.out, 'ads.txt'));
+  } catch {
+    // ads.txt opcional
+  }
+}
+
+module.exports = {
+  buildAssets,
+  writeDataFiles,
+  copyAdsFile
+};
@@ -0,0 +1,188 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { paths, SITE } = require('./config');
+const { decodeEntities } = require('./text');
+const { listFiles } = require('./files');
+const { auditAccessibility, auditFocusStyles } = require('./a11y');
+
+async function auditBuild({ listExternalLinks = false } = {}) {
+  const files = (await listFiles(paths.out)).map(
+    (file) => `/${path.relative(paths.out, file).split(path.sep).join('/')}`
+  );
+  const existing = new Set(files);
+  const topLevelEntries = new Set(files.map((file) => file.split('/')[1]));
+  const pages = new Map();
+  const problems = new Set();
+  const externalLinks = new Map();
+
+  for (const file of files.filter((file) => file.endsWith('.html'))) {
+    const html = await fs.readFile(path.join(paths.out, file), 'utf8');
+    pages.set(file, {
+      ids: new Set(
+        Array.from(html.matchAll(/\sid="([^"]+)"/g), (match) => decodeEntities(match[1]))
+      ),
+      urls: extractHtmlUrls(html),
+      noindex: /<meta name="robots" content="noindex"/.test(html),
+      links: []
+    });
+
+    for (const problem of auditAccessibility(html)) {
+      problems.add(`${file}: acessibilidade: ${problem}`);
+    }
+  }
+
+  for (const file of files.filter((file) => file.endsWith('.css'))) {
+    const css = await fs.readFile(path.join(paths.out, file), 'utf8');
+    for (const problem of auditFocusStyles(css)) {
+      problems.add(`${file}: acessibilidade: ${problem}`);
+    }
+
+    for (const [, , url] of css.matchAll(/url\((['"]?)([^'")]+)\1\)/g)) {
+      const target = resolveBuildUrl(url, file);
+      if (target.path && !existing.has(target.path)) {
+        problems.add(`${file}: url(${url}) aponta para um arquivo que não existe.`);
+      }
+    }
+  }
+
+  for (const [file, page] of pages) {
+    for (const url of page.urls) {
+      const target = resolveBuildUrl(url, file);
+
+      // URL absoluta no mesmo domínio, mas fora do que o build gera: outro projeto do GitHub Pages.
+      if (target.path && /^https?:/i.test(url) && !topLevelEntries.has(target.path.split('/')[1])) {
+        target.external = url;
+      }
+
+      if (target.external) {
+        externalLinks.set(target.external, [...(externalLinks.get(target.external) || []), file]);
+      } else if (target.error) {
+        problems.add(`${file}: ${url} ${target.error}`);
+      } else if (target.path && !existing.has(target.path)) {
+        problems.add(`${file}: ${url} aponta para um arquivo que não existe.`);
+      } else if (target.path && pages.has(target.path)) {
+        page.links.push(target.path);
+
+        if (target.fragment && !pages.get(target.path).ids.has(target.fragment)) {
+          problems.add(`${file}: ${url} aponta para a âncora #${target.fragment}, que não existe.`);
+        }
+      }
+    }
+  }
+
+  // Toda página indexável precisa ser alcançável a partir de um sitemap (um por idioma),
+  // seguindo os links internos.
+  const queue = [];
+
+  for (const sitemapFile of files.filter((file) => file.endsWith('/sitemap.xml'))) {
+    const sitemap = await fs.readFile(path.join(paths.out, sitemapFile), 'utf8');
+
+    for (const [, loc] of sitemap.matchAll(/<loc>([^<]+)<\/loc>/g)) {
+      const target = resolveBuildUrl(loc, sitemapFile);
+      if (!target.path || !pages.has(target.path)) {
+        problems.add(`${sitemapFile}: ${loc} não corresponde a uma página do build.`);
+      } else {
+        queue.push(target.path);
+      }
+    }
+  }
+
+  const reachable = new Set(queue);
+  while (queue.length > 0) {
+    for (const link of pages.get(queue.shift()).links) {
+      if (!reachable.has(link)) {
+        reachable.add(link);
+        queue.push(link);
+      }
+    }
+  }
+
+  for (const [file, page] of pages) {
+    if (!page.noindex && !reachable.has(file)) {
+      problems.add(`${file}: página não é alcançável a partir do sitemap.`);
+    }
+  }
+
+  if (listExternalLinks) {
+    console.log(`Links externos (${externalLinks.size}) para revisão manual:`);
+    for (const [url, sources] of [...externalLinks].sort(([a], [b]) => a.localeCompare(b))) {
+      const unique = [...new Set(sources)];
+      console.log(`  ${url} (${unique.length} página(s): ${unique.join(', ')})`);
+    }
+  }
+
+  if (problems.size > 0) {
+    throw new Error(
+      `Auditoria do build encontrou ${problems.size} problema(s):\n  ${[...problems].join('\n  ')}`
+    );
+  }
+}
+
+function extractHtmlUrls(html) {
+  const urls = [];
+  const markup = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, (tag) =>
+    tag.replace(/>[\s\S]*</, '><')
+  );
+
+  for (const [, attribute, rawValue] of markup.matchAll(/\s(href|src|srcset|content)="([^"]*)"/g)) {
+    const value = decodeEntities(rawValue).trim();
+
+    if (attribute === 'srcset') {
+      urls.push(...value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]));
+    } else if (attribute !== 'content' || value.startsWith(`${SITE.origin}/`)) {
+      urls.push(value);
+    }
+  }
+
+  return urls.filter(Boolean);
+}
+
+function resolveBuildUrl(rawUrl, fromFile) {
+  if (/^(mailto:|tel:|javascript:|data:)/i.test(rawUrl)) {
+    return {};
+  }
+
+  const siteOrigin = new URL(SITE.origin).origin;
+  let url;
+
+  try {
+    url = new URL(rawUrl, new URL(`${SITE.basePath}${fromFile}`, siteOrigin));
+  } catch {
+    return { error: 'não é uma URL válida.' };
+  }
+
+  if (url.origin !== siteOrigin) {
+    return /^https?:$/.test(url.protocol) ? { external: url.href } : {};
+  }
+
+  let pathname;
+  let fragment;
+
+  try {
+    pathname = decodeURIComponent(url.pathname);
+    fragment = decodeURIComponent(url.hash.slice(1));
+  } catch {
+    // Escape percentual quebrado (ex.: "/posts/%E0%A4%A.html").
+    return { error: 'não é uma URL válida.' };
+  }
+
+  if (SITE.basePath) {
+    if (pathname !== SITE.basePath && !pathname.startsWith(`${SITE.basePath}/`)) {
+      // Com URL absoluta, é outro projeto do GitHub Pages no mesmo domínio.
+      return /^https?:/i.test(rawUrl)
+        ? { external: url.href }
+        : { error: `não começa com o basePath ${SITE.basePath}.` };
+    }
+
+    pathname = pathname.slice(SITE.basePath.length) || '/';
+  }
+
+  return {
+    path: pathname.endsWith('/') ? `${pathname}index.html` : pathname,
+    fragment
+  };
+}
+
+module.exports = {
+  auditBuild
+};
@@ -0,0 +1,322 @@
+const path = require('node:path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const paths = resolvePaths(path.join(ROOT, 'src'), path.join(ROOT, 'build'));
+const NODE_MODULES_DIR = path.join(ROOT, 'node_modules');
+const IMAGE_CACHE_DIR = path.join(NODE_MODULES_DIR, '.cache', 'site-images');
+const OG_FONT_CACHE_DIR = path.join(NODE_MODULES_DIR, '.cache', 'og-fonts');
+const REPOSITORY = process.env.GITHUB_REPOSITORY || '';
+const REPOSITORY_OWNER = process.env.GITHUB_REPOSITORY_OWNER || '';
+const SHOW_DRAFTS = /^(1|true|yes)$/i.test(String(process.env.SHOW_DRAFTS || '').trim());
+// Só o deploy carrega anúncios de verdade; builds locais e de preview mostram um espaço reservado.
+const ADS_LIVE = /^(1|true|yes)$/i.test(String(process.env.ADS_LIVE || '').trim());
+const FEED_LIMIT = 20;
+
+const SITE_CONFIG_FILES = ['site.config.js', 'site.config.json'];
+const SITE_PAGES = ['home', 'blog', 'projects', 'about'];
+// Cada página fixa e os posts podem ter um slot próprio; `default` vale para os que não têm.
+const AD_PLACEMENTS = ['default', 'post', ...SITE_PAGES];
+// IDs de exemplo da documentação do AdSense: não pertencem a nenhum bloco de anúncio real.
+const AD_SLOT_PLACEHOLDERS = ['1234567890'];
+
+// Valores padrão do site. Precedência (do mais forte para o mais fraco): opção `site` de
+// build(), site.config.(js|json) e, por fim, as variáveis de ambiente lidas aqui.
+const SITE = {
+  name: 'Meu Blog',
+  description: null,
+  origin: normalizeOrigin(process.env.SITE_URL || inferDefaultOrigin(REPOSITORY_OWNER)),
+  basePath: normalizeBasePath(process.env.BASE_PATH || inferBasePathFromRepository(REPOSITORY)),
+  navigation: [...SITE_PAGES],
+  social: [],
+  images: { default: '/assets/images/about-profile.png', icon: '/assets/images/about-profile.png' },
+  ads: { client: '', slots: {}, pages: [], afterParagraphs: [3] },
+  analytics: { googleAnalytics: '' },
+  seo: {},
+  build: {
+    postsPerPage: Math.max(1, Number.parseInt(process.env.POSTS_PER_PAGE, 10) || 9),
+    searchBodyIndex: !/^(0|false|no)$/i.test(String(process.env.SEARCH_BODY_INDEX || '').trim()),
+    feedFullContent: /^(1|true|yes)$/i.test(String(process.env.FEED_FULL_CONTENT || '').trim())
+  }
+};
+
+// O primeiro idioma é o padrão e fica na raiz; os demais ganham o prefixo nas rotas.
+// Os textos da interface de cada um ficam em src/i18n/<code>.yml.
+const LOCALES = [
+  { code: 'pt-BR', prefix: '', ogLocale: 'pt_BR' },
+  { code: 'en', prefix: '/en', ogLocale: 'en_US' }
+];
+const DEFAULT_LOCALE = LOCALES[0].code;
+
+const TOC_MIN_HEADINGS = 3;
+const WORDS_PER_MINUTE = 200;
+const CODE_LINES_PER_MINUTE = 30;
+// Blocos `:::tipo` aceitos no Markdown; os nomes em inglês são apelidos para os posts em /en/.
+const ADMONITIONS = {
+  nota: 'nota',
+  note: 'nota',
+  atencao: 'atencao',
+  warning: 'atencao',
+  dica: 'dica',
+  tip: 'dica'
+};
+const POST_STATUSES = ['published', 'draft', 'scheduled', 'unlisted'];
+
+const PROJECT_STATUSES = ['active', 'archived'];
+const PROJECT_DATA_FILES = ['projects.json', 'projects.yml', 'projects.yaml'];
+const PROJECT_TRANSLATABLE_FIELDS = ['title', 'stack', 'description', 'body'];
+
+const VENDOR_SCRIPTS = {
+  fuse: 'fuse.js/dist/fuse.min.js'
+};
+const VENDOR_FONTS = [
+  { package: '@fontsource/inter', weights: [400, 500, 600, 700, 800] },
+  { package: '@fontsource/poppins', weights: [500, 600, 700] }
+];
+const FONT_SUBSETS = ['latin', 'latin-ext'];
+const VENDOR_ASSETS = {};
+const ASSET_MANIFEST = {};
+const IMAGE_INFO = {};
+const IMAGE_WIDTHS = [480, 800, 1200];
+const SOCIAL_IMAGE_SIZE = { width: 1200, height: 630 };
+const RASTER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const IMAGE_SIZES = {
+  card: '(max-width: 700px) 100vw, (max-width: 980px) 50vw, 360px',
+  full: '(max-width: 1120px) 100vw, 1120px'
+};
+const CLIENT_MANIFEST_EXTENSIONS = ['.js', '.json'];
+// Ícones do app (manifest e apple-touch-icon), recortados em quadrado a partir de images.icon.
+const APP_ICON_SIZES = [192, 512];
+const APP_COLORS = { theme: '#556200', background: '#f7f9f3' };
+const OG_FONTS = [
+  '@fontsource/poppins/files/poppins-latin-700-normal.woff',
+  '@fontsource/inter/files/inter-latin-400-normal.woff',
+  '@fontsource/inter/files/inter-latin-600-normal.woff'
+];
+
+const POST_CATEGORIES = ['Backend', 'Front-end', 'Inteligência Artificial'];
+const MAX_POST_TAGS = 8;
+
+const POST_SCHEMA = {
+  title: { type: 'string', required: true },
+  date: { type: 'date', required: true },
+  category: { type: 'string', required: true, oneOf: POST_CATEGORIES },
+  summary: { type: 'string', required: true },
+  tags: { type: 'list', required: true, minItems: 1, maxItems: MAX_POST_TAGS },
+  coverImage: { type: 'asset', required: true },
+  ogImage: { type: 'asset', allowUrl: true },
+  status: { type: 'string', oneOf: POST_STATUSES },
+  toc: { type: 'boolean' },
+  readingTime: { type: 'string' },
+  series: { type: 'string' },
+  seriesOrder: { type: 'integer', min: 1, requires: 'series' },
+  ads: { type: 'boolean' },
+  lang: { type: 'string', oneOf: LOCALES.map((locale) => locale.code) },
+  translationOf: { type: 'string' }
+};
+
+// Cada item de src/data/projects.(yml|json) passa pelo mesmo validador do front matter dos posts.
+const PROJECT_SCHEMA = {
+  title: { type: 'string', required: true },
+  stack: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  slug: { type: 'string' },
+  url: { type: 'string' },
+  github: { type: 'string' },
+  coverImage: { type: 'asset' },
+  tags: { type: 'list' },
+  status: { type: 'string', oneOf: PROJECT_STATUSES },
+  featured: { type: 'boolean' },
+  date: { type: 'date' },
+  body: { type: 'string' },
+  translations: { type: 'object' }
+};
+// `translations.<idioma>` só traduz os campos de texto, todos opcionais.
+const PROJECT_TRANSLATION_SCHEMA = Object.fromEntries(
+  PROJECT_TRANSLATABLE_FIELDS.map((field) => [field, { ...PROJECT_SCHEMA[field], required: false }])
+);
+
+// Textos de site.config podem ser uma string ou um objeto por idioma ({ "pt-BR": ..., "en": ... }).
+const LOCALIZED_TEXT = { type: 'localized' };
+const SEO_PAGE_SCHEMA = {
+  type: 'object',
+  fields: {
+    title: LOCALIZED_TEXT,
+    description: LOCALIZED_TEXT,
+    ogImage: { type: 'asset', allowUrl: true }
+  }
+};
+
+const SITE_CONFIG_SCHEMA = {
+  name: { type: 'string', required: true },
+  description: LOCALIZED_TEXT,
+  origin: { type: 'url' },
+  basePath: { type: 'string' },
+  navigation: {
+    type: 'list',
+    items: {
+      type: 'page-or-link',
+      oneOf: SITE_PAGES,
+      fields: {
+        label: { ...LOCALIZED_TEXT, required: true },
+        url: { type: 'string', required: true }
+      }
+    }
+  },
+  social: {
+    type: 'list',
+    items: {
+      type: 'object',
+      fields: { name: { type: 'string', required: true }, url: { type: 'url', required: true } }
+    }
+  },
+  images: { type: 'object', fields: { default: { type: 'asset' }, icon: { type: 'asset' } } },
+  ads: {
+    type: 'object',
+    fields: {
+      client: { type: 'string', pattern: /^ca-pub-\d+$/ },
+      slots: {
+        type: 'object',
+        fields: Object.fromEntries(
+          AD_PLACEMENTS.map((placement) => [placement, { type: 'string', pattern: /^\d+$/ }])
+        )
+      },
+      pages: { type: 'list', items: { type: 'string', oneOf: SITE_PAGES } },
+      afterParagraphs: { type: 'list', items: { type: 'integer', min: 1 } }
+    }
+  },
+  analytics: {
+    type: 'object',
+    fields: { googleAnalytics: { type: 'string', pattern: /^G-[A-Z0-9]+$/ } }
+  },
+  seo: {
+    type: 'object',
+    fields: Object.fromEntries(SITE_PAGES.map((page) => [page, SEO_PAGE_SCHEMA]))
+  },
+  build: {
+    type: 'object',
+    fields: {
+      postsPerPage: { type: 'integer', min: 1 },
+      searchBodyIndex: { type: 'boolean' },
+      feedFullContent: { type: 'boolean' }
+    }
+  }
+};
+
+// Caminhos e dados do site podem ser trocados antes do build (ex.: testes com fixtures).
+function configure({ srcDir, outDir, site } = {}) {
+  Object.assign(
+    paths,
+    resolvePaths(
+      srcDir ? path.resolve(srcDir) : paths.src,
+      outDir ? path.resolve(outDir) : paths.out
+    )
+  );
+
+  if (site) {
+    // Seções como `build` e `images` são mescladas campo a campo com os padrões.
+    for (const [key, value] of Object.entries(site)) {
+      SITE[key] =
+        isPlainObject(value) && isPlainObject(SITE[key]) ? { ...SITE[key], ...value } : value;
+    }
+
+    SITE.origin = normalizeOrigin(SITE.origin);
+    SITE.basePath = normalizeBasePath(SITE.basePath);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolvePaths(srcDir, outDir) {
+  return {
+    src: srcDir,
+    posts: path.join(srcDir, 'posts'),
+    templates: path.join(srcDir, 'templates'),
+    partials: path.join(srcDir, 'templates', 'partials'),
+    assets: path.join(srcDir, 'assets'),
+    data: path.join(srcDir, 'data'),
+    i18n: path.join(srcDir, 'i18n'),
+    serviceWorker: path.join(srcDir, 'sw.js'),
+    out: outDir
+  };
+}
+
+function inferDefaultOrigin(repositoryOwner) {
+  if (repositoryOwner) {
+    return `https://${repositoryOwner}.github.io`;
+  }
+
+  return 'https://miguel-br-dl.github.io';
+}
+
+function inferBasePathFromRepository(repository) {
+  const [owner, repo] = String(repository).split('/');
+  if (!owner || !repo) {
+    return '';
+  }
+
+  if (repo.toLowerCase() === `${owner.toLowerCase()}.github.io`) {
+    return '';
+  }
+
+  return `/${repo}`;
+}
+
+function normalizeOrigin(origin) {
+  return String(origin || '').replace(/\/+$/, '') || 'https://miguel-br-dl.github.io';
+}
+
+function normalizeBasePath(basePath) {
+  if (!basePath || basePath === '/') {
+    return '';
+  }
+
+  const clean = `/${String(basePath).trim().replace(/^\/+|\/+$/g, '')}`;
+  return clean === '/' ? '' : clean;
+}
+
+module.exports = {
+  ROOT,
+  paths,
+  NODE_MODULES_DIR,
+  IMAGE_CACHE_DIR,
+  OG_FONT_CACHE_DIR,
+  SHOW_DRAFTS,
+  ADS_LIVE,
+  AD_SLOT_PLACEHOLDERS,
+  FEED_LIMIT,
+  SITE,
+  SITE_CONFIG_FILES,
+  SITE_PAGES,
+  SITE_CONFIG_SCHEMA,
+  LOCALES,
+  DEFAULT_LOCALE,
+  TOC_MIN_HEADINGS,
+  WORDS_PER_MINUTE,
+  CODE_LINES_PER_MINUTE,
+  ADMONITIONS,
+  PROJECT_DATA_FILES,
+  PROJECT_SCHEMA,
+  PROJECT_TRANSLATION_SCHEMA,
+  VENDOR_SCRIPTS,
+  VENDOR_FONTS,
+  FONT_SUBSETS,
+  VENDOR_ASSETS,
+  ASSET_MANIFEST,
+  IMAGE_INFO,
+  IMAGE_WIDTHS,
+  SOCIAL_IMAGE_SIZE,
+  RASTER_IMAGE_EXTENSIONS,
+  IMAGE_SIZES,
+  CLIENT_MANIFEST_EXTENSIONS,
+  APP_ICON_SIZES,
+  APP_COLORS,
+  OG_FONTS,
+  POST_SCHEMA,
+  configure,
+  inferDefaultOrigin,
+  inferBasePathFromRepository,
+  normalizeOrigin,
+  normalizeBasePath
+};
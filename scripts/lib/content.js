@@ -0,0 +1,559 @@
+const fs = require('node:fs/promises');
+const fsSync = require('node:fs');
+const path = require('node:path');
+const matter = require('gray-matter');
+const yaml = require('js-yaml');
+const {
+  ROOT,
+  paths,
+  SHOW_DRAFTS,
+  TOC_MIN_HEADINGS,
+  WORDS_PER_MINUTE,
+  CODE_LINES_PER_MINUTE,
+  PROJECT_DATA_FILES,
+  PROJECT_SCHEMA,
+  PROJECT_TRANSLATION_SCHEMA,
+  POST_SCHEMA,
+  LOCALES,
+  DEFAULT_LOCALE
+} = require('./config');
+const { formatDate, stripHtml, slugify } = require('./text');
+const { isExternalLink, toPublicUrl, toAbsoluteUrl, normalizePath } = require('./urls');
+const { toSocialImageUrl, toOgImageOverride } = require('./images');
+const { md, addLazyLoadingToImages } = require('./markdown');
+const { localePath } = require('./i18n');
+
+// Data do YAML: AAAA-MM-DD, com hora opcional depois de "T" ou de espaço e fuso opcional.
+const DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(([Tt]|[ \t]+)\d{1,2}:\d{2}:\d{2}(\.\d*)?([ \t]*(Z|[+-]\d{1,2}(:\d{2})?))?)?$/;
+
+async function loadTemplates() {
+  const names = [
+    'base',
+    'index',
+    'blog',
+    'post',
+    'projects',
+    'project',
+    'about',
+    'tag',
+    'series',
+    'reading-list'
+  ];
+  const templates = {};
+
+  await Promise.all(
+    names.map(async (name) => {
+      const templatePath = path.join(paths.templates, `${name}.html`);
+      templates[name] = await fs.readFile(templatePath, 'utf8');
+    })
+  );
+
+  templates.partials = await loadPartials();
+  return templates;
+}
+
+async function loadPartials() {
+  const files = (await fs.readdir(paths.partials)).filter((file) => file.endsWith('.html'));
+  const partials = {};
+
+  for (const file of files) {
+    partials[path.basename(file, '.html')] = await fs.readFile(
+      path.join(paths.partials, file),
+      'utf8'
+    );
+  }
+
+  return partials;
+}
+
+async function loadPosts(partials, locales) {
+  const files = (await fs.readdir(paths.posts)).filter((file) => file.endsWith('.md'));
+  const posts = [];
+  const problems = [];
+  const translations = [];
+
+  for (const file of files) {
+    const relativePath = path.relative(ROOT, path.join(paths.posts, file));
+    const source = await fs.readFile(path.join(paths.posts, file), 'utf8');
+    let parsed;
+
+    try {
+      // Passar opções desativa o cache do gray-matter, que devolve o objeto anterior sem
+      // `matter` quando o mesmo conteúdo é lido de novo (ex.: reconstruções no modo watch).
+      parsed = matter(source, {});
+    } catch (error) {
+      const line = error.mark ? error.mark.line + 1 : 1;
+      problems.push(`${relativePath}:${line}: YAML inválido (${error.reason || error.message}).`);
+      continue;
+    }
+
+    const fileProblems = validateFrontmatter(parsed);
+    if (fileProblems.length > 0) {
+      problems.push(
+        ...fileProblems.map(({ line, message }) => `${relativePath}:${line}: ${message}`)
+      );
+      continue;
+    }
+
+    const slug = slugify(path.basename(file, '.md'));
+    const date = new Date(parsed.data.date);
+    const locale =
+      locales.find((candidate) => candidate.code === parsed.data.lang) ||
+      locales.find((candidate) => candidate.isDefault);
+    const translationOf = parsed.data.translationOf
+      ? slugify(String(parsed.data.translationOf).trim())
+      : '';
+
+    // Rascunhos também entram: uma tradução pode apontar para um original ainda não publicado.
+    translations.push({
+      slug,
+      lang: locale.code,
+      translationOf,
+      location: `${relativePath}:${findFieldLine(parsed.matter, 'translationOf')}`
+    });
+
+    const status = String(parsed.data.status || 'published').trim();
+    const isPending = status === 'draft' || (status === 'scheduled' && date > new Date());
+
+    if (isPending && !SHOW_DRAFTS) {
+      continue;
+    }
+
+    const tags = parsed.data.tags.map((tag) => String(tag).trim()).filter(Boolean);
+    const category = String(parsed.data.category).trim();
+    const postPath = localePath(locale, `/posts/${slug}.html`);
+
+    const tagSlugs = Object.fromEntries(tags.map((tag) => [tag, slugify(tag)]));
+    const env = { partials, messages: locale.messages, warnings: [] };
+    const htmlContent = addLazyLoadingToImages(md.render(parsed.content, env));
+    reportMarkdownWarnings(relativePath, source, parsed.content, env.warnings);
+    const showToc = parsed.data.toc ?? env.headings.length >= TOC_MIN_HEADINGS;
+    const reading = measureReading(htmlContent, parsed.data.readingTime);
+
+    posts.push({
+      slug,
+      lang: locale.code,
+      translationKey: translationOf || slug,
+      title: String(parsed.data.title).trim(),
+      date,
+      isoDate: date.toISOString(),
+      formattedDate: formatDate(date, locale.code),
+      category: locale.messages.categories[category] || category,
+      summary: String(parsed.data.summary).trim(),
+      readingTime: reading.label,
+      readingMinutes: reading.minutes,
+      wordCount: reading.wordCount,
+      codeLines: reading.codeLines,
+      tags,
+      tagSlugs,
+      coverImage: toPublicUrl(parsed.data.coverImage),
+      coverImagePath: normalizePath(parsed.data.coverImage),
+      coverImageAbsolute: toAbsoluteUrl(parsed.data.coverImage),
+      ogImage: parsed.data.ogImage ? toOgImageOverride(parsed.data.ogImage) : '',
+      series: parsed.data.series ? String(parsed.data.series).trim() : '',
+      seriesOrder: parsed.data.seriesOrder ?? null,
+      path: postPath,
+      url: toPublicUrl(postPath),
+      browsingUrl: toPublicUrl(postPath),
+      absoluteUrl: toAbsoluteUrl(postPath),
+      htmlContent,
+      plainText: stripHtml(htmlContent),
+      headings: env.headings,
+      toc: showToc ? buildToc(env.headings) : [],
+      status,
+      isDraft: isPending,
+      unlisted: status === 'unlisted',
+      ads: parsed.data.ads === true
+    });
+  }
+
+  problems.push(...validateTranslations(translations));
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Front matter inválido (${problems.length} problema(s)):\n  ${problems.join('\n  ')}`
+    );
+  }
+
+  return posts.sort((a, b) => b.date - a.date);
+}
+
+// Avisos não interrompem o build: o post sai com o bloco sem realce (ou como texto comum).
+function reportMarkdownWarnings(relativePath, source, content, warnings) {
+  const offset = source.slice(0, source.length - content.length).split('\n').length - 1;
+
+  for (const { line, message } of warnings) {
+    console.warn(`Aviso: ${relativePath}:${line + offset}: ${message}`);
+  }
+}
+
+function validateTranslations(entries) {
+  const bySlug = new Map(entries.map((entry) => [entry.slug, entry]));
+  const seen = new Map();
+  const problems = [];
+
+  for (const entry of entries.filter((candidate) => candidate.translationOf)) {
+    const original = bySlug.get(entry.translationOf);
+    const key = `${entry.translationOf}:${entry.lang}`;
+    const report = (message) => problems.push(`${entry.location}: "translationOf" ${message}`);
+
+    if (!original) {
+      report(`aponta para "${entry.translationOf}", que não é um post.`);
+    } else if (original.translationOf) {
+      report(
+        `deve apontar para o post original, não para outra tradução ("${original.slug}" traduz "${original.translationOf}").`
+      );
+    } else if (original.lang === entry.lang) {
+      report(`aponta para "${original.slug}", que já está em ${entry.lang}.`);
+    } else if (seen.has(key)) {
+      report(
+        `repete a tradução em ${entry.lang} de "${entry.translationOf}" (já feita em ${seen.get(key)}).`
+      );
+    }
+
+    seen.set(key, seen.get(key) || entry.slug);
+  }
+
+  return problems;
+}
+
+function measureReading(html, manualReadingTime) {
+  const codeBlocks = html.match(/<pre[\s\S]*?<\/pre>/g) || [];
+  const codeLines = codeBlocks
+    .flatMap((block) => block.replace(/<[^>]+>/g, '').split('\n'))
+    .filter((line) => line.trim()).length;
+
+  const prose = stripHtml(
+    html.replace(/<pre[\s\S]*?<\/pre>|<div class="code-header">[\s\S]*?<\/div>/g, ' ')
+  );
+  const wordCount = prose.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+
+  const computedMinutes = Math.max(
+    1,
+    Math.ceil(wordCount / WORDS_PER_MINUTE + codeLines / CODE_LINES_PER_MINUTE)
+  );
+
+  const manual = String(manualReadingTime ?? '').trim();
+  const manualMinutes = Number.parseInt(manual, 10);
+
+  return {
+    wordCount,
+    codeLines,
+    minutes: manual && manualMinutes > 0 ? manualMinutes : computedMinutes,
+    label: manual || `${computedMinutes} min`
+  };
+}
+
+function buildToc(headings) {
+  const toc = [];
+
+  for (const heading of headings) {
+    if (heading.level === 2) {
+      toc.push({ id: heading.id, text: heading.text, children: [] });
+    } else if (heading.level === 3 && toc.length > 0) {
+      toc[toc.length - 1].children.push({ id: heading.id, text: heading.text });
+    }
+  }
+
+  return toc;
+}
+
+function validateFrontmatter(parsed) {
+  return validateFields(parsed.data, POST_SCHEMA, {
+    lineOf: (field) => findFieldLine(parsed.matter, field),
+    // js-yaml transforma `2024-13-45` em uma data válida (rola o mês e o dia para frente):
+    // a data é conferida no texto escrito no front matter.
+    readDate: (field) => readRawField(parsed.matter, field)
+  }).sort((a, b) => a.line - b.line);
+}
+
+// Confere `data` contra um schema (POST_SCHEMA, PROJECT_SCHEMA) e devolve todos os problemas,
+// cada um com a linha do campo, em vez de parar no primeiro.
+function validateFields(data, schema, { lineOf, readDate = (field) => data[field], prefix = '' }) {
+  const problems = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const report = (message) =>
+      problems.push({ line: lineOf(field), message: `"${prefix}${field}" ${message}` });
+
+    if (!(field in data) || data[field] === null) {
+      if (rule.required) {
+        report('é obrigatório.');
+      }
+      continue;
+    }
+
+    const value = rule.type === 'date' ? readDate(field) : data[field];
+    const problem = checkFieldType(value, rule);
+    if (problem) {
+      report(problem);
+    } else if (rule.oneOf && !rule.oneOf.includes(String(data[field]).trim())) {
+      report(`tem valor "${data[field]}" fora da lista: ${rule.oneOf.join(', ')}.`);
+    } else if (rule.requires && !(rule.requires in data)) {
+      report(`exige "${rule.requires}".`);
+    }
+  }
+
+  for (const field of Object.keys(data)) {
+    if (!(field in schema)) {
+      problems.push({
+        line: lineOf(field),
+        message: `"${prefix}${field}" não é um campo conhecido.`
+      });
+    }
+  }
+
+  return problems;
+}
+
+// A linha 1 do arquivo é o "---" de abertura; campos ausentes apontam para ela.
+function findFieldLine(frontMatter, field) {
+  const index = frontMatter
+    .split('\n')
+    .findIndex((line) => new RegExp(`^${field}\\s*:`).test(line));
+  return index === -1 ? 1 : index + 1;
+}
+
+function readRawField(frontMatter, field) {
+  const line = frontMatter
+    .split('\n')
+    .find((candidate) => new RegExp(`^${field}\\s*:`).test(candidate));
+  return line
+    .slice(line.indexOf(':') + 1)
+    .replace(/\s+#.*$/, '')
+    .trim()
+    .replace(/^(["'])(.*)\1$/, '$2');
+}
+
+// Data no formato de DATE_PATTERN que existe no calendário: 2024-02-30 não passa.
+function isCalendarDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    !Number.isNaN(new Date(text).getTime())
+  );
+}
+
+// Também usado pela validação do site.config, que confere os assets antes do configure():
+// por isso a pasta de assets pode ser informada.
+function checkFieldType(value, rule, { assetsDir = paths.assets } = {}) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? '' : 'deve ser um texto não vazio.';
+    case 'boolean':
+      return typeof value === 'boolean' ? '' : 'deve ser true ou false.';
+    case 'integer':
+      return Number.isInteger(value) && value >= (rule.min ?? -Infinity)
+        ? ''
+        : `deve ser um número inteiro a partir de ${rule.min}.`;
+    case 'date':
+      return isCalendarDate(String(value))
+        ? ''
+        : `deve ser uma data válida no formato AAAA-MM-DD (recebido "${value}").`;
+    case 'list': {
+      if (!Array.isArray(value) || value.some((item) => !String(item ?? '').trim())) {
+        return 'deve ser uma lista de textos.';
+      }
+      if (value.length < rule.minItems || value.length > rule.maxItems) {
+        return `deve ter entre ${rule.minItems} e ${rule.maxItems} itens (tem ${value.length}).`;
+      }
+      return '';
+    }
+    case 'asset': {
+      const assetPath = String(value).trim();
+      if (rule.allowUrl && /^https?:\/\//i.test(assetPath)) {
+        return '';
+      }
+      if (!assetPath.startsWith('/assets/')) {
+        return `deve começar com /assets/ (recebido "${assetPath}").`;
+      }
+      return fsSync.existsSync(path.join(assetsDir, assetPath.slice('/assets/'.length)))
+        ? ''
+        : `aponta para um arquivo que não existe em src/assets: ${assetPath}.`;
+    }
+    case 'object':
+      return isPlainObject(value) ? '' : 'deve ser um objeto.';
+    default:
+      return '';
+  }
+}
+
+async function loadProjects(partials, locales) {
+  for (const file of PROJECT_DATA_FILES) {
+    const relativePath = path.relative(ROOT, path.join(paths.data, file));
+    let source;
+
+    try {
+      source = await fs.readFile(path.join(paths.data, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+
+      throw error;
+    }
+
+    // Sem o tipo timestamp do YAML, `date` chega como texto e é conferida como no front matter.
+    const entries = file.endsWith('.json')
+      ? JSON.parse(source)
+      : yaml.load(source, { schema: yaml.CORE_SCHEMA });
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file} deve conter uma lista de projetos.`);
+    }
+
+    const itemLines = file.endsWith('.json') ? [] : findYamlItemLines(source);
+    const problems = [];
+    const seen = new Set();
+    const validated = entries.map((entry, index) => {
+      const lines = itemLines.length === entries.length ? itemLines[index] : null;
+      const lineOf = (field) => (lines ? lines.fields[field] || lines.start : null);
+      const location = (line) => `${relativePath}${line ? `:${line}` : ''} (projeto ${index + 1})`;
+      const entryProblems = validateProject(entry, lineOf);
+      const slug = entryProblems.length === 0 ? slugify(entry.slug || entry.title) : '';
+
+      if (slug && seen.has(slug)) {
+        entryProblems.push({ line: lineOf('slug'), message: `repete o slug "${slug}".` });
+      }
+      seen.add(slug);
+
+      problems.push(...entryProblems.map(({ line, message }) => `${location(line)}: ${message}`));
+      return { entry, slug, index, date: entry?.date ? new Date(entry.date) : null };
+    });
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Projetos inválidos (${problems.length} problema(s)):\n  ${problems.join('\n  ')}`
+      );
+    }
+
+    const ordered = validated.sort(
+      (a, b) =>
+        Number(b.entry.featured === true) - Number(a.entry.featured === true) ||
+        Number(a.entry.status === 'archived') - Number(b.entry.status === 'archived') ||
+        (b.date || 0) - (a.date || 0) ||
+        a.index - b.index
+    );
+
+    return Object.fromEntries(
+      locales.map((locale) => [
+        locale.code,
+        ordered.map(({ entry, slug, date }) => toProject(entry, slug, date, locale, partials))
+      ])
+    );
+  }
+
+  return Object.fromEntries(locales.map((locale) => [locale.code, []]));
+}
+
+// Linha de cada item de uma lista YAML no nível raiz (`- title: ...`) e dos seus campos, para
+// apontar os problemas como no front matter. Fora desse formato, os problemas saem sem linha.
+function findYamlItemLines(source) {
+  const items = [];
+
+  source.split('\n').forEach((line, index) => {
+    if (/^-(\s|$)/.test(line)) {
+      items.push({ start: index + 1, fields: {} });
+    }
+
+    const field = /^(?:- |  )([\w-]+)\s*:/.exec(line);
+    if (field && items.length > 0) {
+      items.at(-1).fields[field[1]] ??= index + 1;
+    }
+  });
+
+  return items;
+}
+
+// Campos de `translations.<idioma>` substituem os do idioma padrão; o resto é compartilhado.
+function toProject(entry, slug, date, locale, partials) {
+  const localized = { ...entry, ...(entry.translations || {})[locale.code] };
+  const body = String(localized.body || '').trim();
+
+  return {
+    slug,
+    title: String(localized.title).trim(),
+    stack: String(localized.stack).trim(),
+    description: String(localized.description).trim(),
+    url: entry.url ? resolveProjectUrl(entry.url, locale) : '',
+    github: entry.github ? String(entry.github).trim() : '',
+    coverImage: entry.coverImage ? toPublicUrl(entry.coverImage) : '',
+    coverImagePath: entry.coverImage ? normalizePath(entry.coverImage) : '',
+    socialImage: entry.coverImage ? toSocialImageUrl(entry.coverImage) : '',
+    tags: (entry.tags || []).map((tag) => String(tag).trim()).filter(Boolean),
+    status: entry.status || 'active',
+    featured: entry.featured === true,
+    date,
+    formattedDate: date ? formatDate(date, locale.code) : '',
+    htmlContent: body
+      ? addLazyLoadingToImages(md.render(body, { partials, messages: locale.messages }))
+      : '',
+    detailPath: body ? localePath(locale, `/projects/${slug}.html`) : ''
+  };
+}
+
+// Mesmas regras e mensagens do front matter; `translations.<idioma>` é conferido campo a campo.
+function validateProject(data, lineOf) {
+  if (!isPlainObject(data)) {
+    return [{ line: lineOf(), message: 'deve ser um objeto.' }];
+  }
+
+  const problems = validateFields(data, PROJECT_SCHEMA, { lineOf });
+  const codes = LOCALES.filter((locale) => locale.code !== DEFAULT_LOCALE).map(
+    (locale) => locale.code
+  );
+
+  const translations = isPlainObject(data.translations) ? data.translations : {};
+
+  for (const [code, fields] of Object.entries(translations)) {
+    const report = (message) =>
+      problems.push({ line: lineOf('translations'), message: `"translations.${code}" ${message}` });
+
+    if (!codes.includes(code)) {
+      report(`não é um idioma conhecido. Use: ${codes.join(', ')}.`);
+    } else if (!isPlainObject(fields)) {
+      report('deve ser um objeto.');
+    } else {
+      problems.push(
+        ...validateFields(fields, PROJECT_TRANSLATION_SCHEMA, {
+          lineOf: () => lineOf('translations'),
+          prefix: `translations.${code}.`
+        })
+      );
+    }
+  }
+
+  return problems;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Links internos para páginas apontam para a versão no mesmo idioma.
+function resolveProjectUrl(url, locale) {
+  const value = String(url).trim();
+
+  if (isExternalLink(value)) {
+    return value;
+  }
+
+  const isPage = !/^https?:\/\//i.test(value) && /\.html(#.*)?$/.test(value);
+  return toPublicUrl(isPage ? localePath(locale, normalizePath(value)) : value);
+}
+
+module.exports = {
+  loadTemplates,
+  loadPosts,
+  loadProjects,
+  checkFieldType
+};
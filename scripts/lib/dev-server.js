@@ -0,0 +1,256 @@
+const fs = require('node:fs/promises');
+const fsSync = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { ROOT, paths, SITE } = require('./config');
+const { slugify } = require('./text');
+const { loadTemplates, loadPosts, loadProjects } = require('./content');
+const { loadLocales } = require('./i18n');
+const { buildAssets } = require('./assets');
+const { writeOutputs, findPostsRelatedTo } = require('./pages');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+function startDevServer(port) {
+  const clients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(pathname);
+    } catch {
+      sendText(res, 400, 'Endereço inválido.');
+      return;
+    }
+
+    const filePath = resolveBuildFile(requestPath);
+    if (!filePath) {
+      sendText(res, 404, 'Não encontrado.');
+      return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let body;
+
+    // Um rebuild apaga blog/, tags/ e series/ antes de regravá-los: a página pode sumir
+    // entre o stat e a leitura.
+    try {
+      body = await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        sendText(res, 404, 'Não encontrado.');
+      } else {
+        console.error(`[watch] Falha ao ler ${filePath}: ${error.message}`);
+        sendText(res, 500, 'Erro ao ler o arquivo.');
+      }
+      return;
+    }
+
+    if (extension === '.html') {
+      body = injectLiveReload(body.toString('utf8'));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  });
+
+  server.listen(port, () => {
+    console.log(
+      `[watch] Servindo ${path.relative(ROOT, paths.out)} em http://localhost:${port}${SITE.basePath}/`
+    );
+  });
+
+  return {
+    reload() {
+      for (const client of clients) {
+        client.write('data: reload\n\n');
+      }
+    }
+  };
+}
+
+function sendText(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+function resolveBuildFile(requestPath) {
+  if (SITE.basePath && requestPath.startsWith(SITE.basePath)) {
+    requestPath = requestPath.slice(SITE.basePath.length) || '/';
+  }
+
+  if (requestPath.endsWith('/')) {
+    requestPath = `${requestPath}index.html`;
+  }
+
+  const filePath = path.join(paths.out, path.normalize(requestPath));
+  if (!filePath.startsWith(`${paths.out}${path.sep}`)) {
+    return null;
+  }
+
+  try {
+    return fsSync.statSync(filePath).isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+function injectLiveReload(html) {
+  // __DEV_SERVER__ impede o main.js de registrar o service worker, que serviria páginas antigas.
+  const snippet = `<script>window.__DEV_SERVER__ = true; new EventSource('${LIVE_RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+  return html.includes('</body>')
+    ? html.replace('</body>', `${snippet}</body>`)
+    : `${html}${snippet}`;
+}
+
+function watchSources(state, server) {
+  const pending = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const onChange = (filePath) => {
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changes = Array.from(pending);
+      pending.clear();
+      queue = queue.then(() => rebuildChanged(state, changes, server));
+    }, 100);
+  };
+
+  for (const dir of [paths.posts, paths.templates, paths.assets, paths.data, paths.i18n]) {
+    if (fsSync.existsSync(dir)) {
+      watchDirectory(dir, onChange);
+    }
+  }
+
+  console.log('[watch] Observando src/posts, src/templates, src/assets, src/data e src/i18n...');
+}
+
+function watchDirectory(dir, onChange, watched = new Set()) {
+  if (watched.has(dir)) {
+    return;
+  }
+
+  watched.add(dir);
+  const watcher = fsSync.watch(dir, (_event, filename) => {
+    if (!filename) {
+      return;
+    }
+
+    const filePath = path.join(dir, filename.toString());
+    if (fsSync.existsSync(filePath) && fsSync.statSync(filePath).isDirectory()) {
+      watchDirectory(filePath, onChange, watched);
+    }
+
+    onChange(filePath);
+  });
+
+  watcher.on('error', () => {
+    watcher.close();
+    watched.delete(dir);
+  });
+
+  for (const entry of fsSync.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      watchDirectory(path.join(dir, entry.name), onChange, watched);
+    }
+  }
+}
+
+async function rebuildChanged(state, changes, server) {
+  const startedAt = Date.now();
+  const isInside = (dir) => (filePath) => filePath.startsWith(`${dir}${path.sep}`);
+
+  const assetChanges = changes.filter(isInside(paths.assets));
+  const templateChanged =
+    changes.some(isInside(paths.templates)) || changes.some(isInside(paths.i18n));
+  const postChanges = changes.filter(isInside(paths.posts)).filter((file) => file.endsWith('.md'));
+  const dataChanged = changes.some(isInside(paths.data));
+
+  try {
+    if (templateChanged) {
+      state.templates = await loadTemplates();
+      state.locales = await loadLocales();
+    }
+
+    if (dataChanged || templateChanged || assetChanges.length > 0) {
+      state.projects = await loadProjects(state.templates.partials, state.locales);
+    }
+
+    if (assetChanges.length > 0) {
+      await buildAssets();
+      state.posts = await loadPosts(state.templates.partials, state.locales);
+      await writeOutputs(state);
+    } else if (templateChanged) {
+      state.posts = await loadPosts(state.templates.partials, state.locales);
+      await writeOutputs(state);
+    } else if (postChanges.length > 0) {
+      const changedSlugs = postChanges.map((file) => slugify(path.basename(file, '.md')));
+      const previous = state.posts;
+      state.posts = await loadPosts(state.templates.partials, state.locales);
+
+      const affected = new Set([
+        ...changedSlugs,
+        ...findPostsRelatedTo(changedSlugs, previous),
+        ...findPostsRelatedTo(changedSlugs, state.posts)
+      ]);
+
+      const currentPaths = new Set(state.posts.map((post) => post.path));
+      for (const post of previous) {
+        if (!currentPaths.has(post.path)) {
+          await fs.rm(path.join(paths.out, post.path), { force: true });
+        }
+      }
+
+      await writeOutputs(state, { postSlugs: affected, staticPages: false });
+    } else if (dataChanged) {
+      await writeOutputs(state, { postSlugs: new Set(), staticPages: false });
+    }
+
+    const changed = changes.map((file) => path.relative(ROOT, file)).join(', ');
+    console.log(`[watch] Atualizado em ${Date.now() - startedAt}ms: ${changed}`);
+    server.reload();
+  } catch (error) {
+    console.error(`[watch] Falha ao reconstruir: ${error.message}`);
+  }
+}
+
+module.exports = {
+  startDevServer,
+  watchSources
+};
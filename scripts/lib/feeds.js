@@ -0,0 +1,250 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { paths, FEED_LIMIT, SITE } = require('./config');
+const { slugify, escapeXml } = require('./text');
+const { toAbsoluteUrl } = require('./urls');
+const { writeJson } = require('./files');
+const { localePath } = require('./i18n');
+
+async function writeSitemap(pages, locale) {
+  const unique = [];
+  const seen = new Set();
+
+  for (const page of pages) {
+    if (seen.has(page.file)) {
+      continue;
+    }
+
+    seen.add(page.file);
+    unique.push(page);
+  }
+
+  const content = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${unique
+  .map(
+    (page) =>
+      `  <url>\n    <loc>${escapeXml(toAbsoluteUrl(page.file))}</loc>\n    <lastmod>${escapeXml(
+        new Date(page.lastmod).toISOString()
+      )}</lastmod>${(page.alternates || [])
+        .map(
+          (alternate) =>
+            `\n    <xhtml:link rel="alternate" hreflang="${escapeXml(
+              alternate.hreflang
+            )}" href="${escapeXml(alternate.url)}"/>`
+        )
+        .join('')}\n  </url>`
+  )
+  .join('\n')}
+</urlset>`;
+
+  const directory = path.join(paths.out, locale.prefix);
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, 'sitemap.xml'), content, 'utf8');
+}
+
+async function writeRobots(locales) {
+  const content = `User-agent: *
+Allow: /
+${locales
+  .map((locale) => `Sitemap: ${toAbsoluteUrl(localePath(locale, '/sitemap.xml'))}`)
+  .join('\n')}
+`;
+
+  await fs.writeFile(path.join(paths.out, 'robots.txt'), content, 'utf8');
+}
+
+async function writeFeeds(posts, categories, tagsMap, locale) {
+  await fs.rm(path.join(paths.out, locale.prefix, 'feeds'), { recursive: true, force: true });
+
+  const feeds = { main: describeFeed(locale, '', SITE.name), categories: {}, tags: {} };
+  await writeFeed(feeds.main, posts);
+
+  for (const category of categories) {
+    const feed = describeFeed(
+      locale,
+      `/feeds/categorias/${slugify(category)}`,
+      `${SITE.name} · ${category}`
+    );
+    await writeFeed(
+      feed,
+      posts.filter((post) => post.category === category)
+    );
+    feeds.categories[category] = feed;
+  }
+
+  for (const tagName of Object.keys(tagsMap)) {
+    const slug = slugify(tagName);
+    const feed = describeFeed(
+      locale,
+      `/feeds/tags/${slug}`,
+      `${SITE.name} · #${tagName}`,
+      `/tags/${slug}.html`
+    );
+    await writeFeed(
+      feed,
+      posts.filter((post) => post.tags.includes(tagName))
+    );
+    feeds.tags[tagName] = feed;
+  }
+
+  return feeds;
+}
+
+function describeFeed(
+  locale,
+  directory,
+  title,
+  homePath = directory ? '/blog.html' : '/index.html'
+) {
+  const feedPath = (file) => localePath(locale, `${directory}/${file}`);
+
+  return {
+    title,
+    lang: locale.code,
+    description: locale.messages.site.description,
+    directory: localePath(locale, directory),
+    homeUrl: toAbsoluteUrl(localePath(locale, homePath)),
+    aboutUrl: toAbsoluteUrl(localePath(locale, '/about.html')),
+    rssUrl: toAbsoluteUrl(feedPath('rss.xml')),
+    atomUrl: toAbsoluteUrl(feedPath('atom.xml')),
+    jsonUrl: toAbsoluteUrl(feedPath('feed.json'))
+  };
+}
+
+function toFeedLinks(feed) {
+  return [
+    { type: 'application/rss+xml', title: `${feed.title} (RSS)`, url: feed.rssUrl },
+    { type: 'application/atom+xml', title: `${feed.title} (Atom)`, url: feed.atomUrl },
+    { type: 'application/feed+json', title: `${feed.title} (JSON Feed)`, url: feed.jsonUrl }
+  ];
+}
+
+async function writeFeed(feed, posts) {
+  const directory = path.join(paths.out, feed.directory);
+  const entries = posts.slice(0, FEED_LIMIT).map((post) => ({
+    post,
+    content: SITE.build.feedFullContent ? absolutizeHtml(post.htmlContent, post.absoluteUrl) : ''
+  }));
+  const updated = entries.length > 0 ? entries[0].post.isoDate : new Date().toISOString();
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, 'rss.xml'), buildRss(feed, entries), 'utf8');
+  await fs.writeFile(path.join(directory, 'atom.xml'), buildAtom(feed, entries, updated), 'utf8');
+  await writeJson(path.join(directory, 'feed.json'), buildJsonFeed(feed, entries));
+}
+
+function buildRss(feed, entries) {
+  const items = entries
+    .map(
+      ({ post, content }) => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <description>${escapeXml(post.summary)}</description>${
+        content ? `\n      <content:encoded>${escapeXml(content)}</content:encoded>` : ''
+      }
+      <link>${escapeXml(post.absoluteUrl)}</link>
+      <guid>${escapeXml(post.absoluteUrl)}</guid>
+      <dc:creator>${escapeXml(SITE.name)}</dc:creator>
+      <pubDate>${new Date(post.isoDate).toUTCString()}</pubDate>
+      <category>${escapeXml(post.category)}</category>
+    </item>`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <description>${escapeXml(feed.description)}</description>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <atom:link href="${escapeXml(feed.rssUrl)}" rel="self" type="application/rss+xml"/>
+    <language>${escapeXml(feed.lang)}</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>`;
+}
+
+function buildAtom(feed, entries, updated) {
+  const items = entries
+    .map(
+      ({ post, content }) => `
+  <entry>
+    <id>${escapeXml(post.absoluteUrl)}</id>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(post.absoluteUrl)}"/>
+    <published>${post.isoDate}</published>
+    <updated>${post.isoDate}</updated>
+    <summary>${escapeXml(post.summary)}</summary>${
+      content ? `\n    <content type="html">${escapeXml(content)}</content>` : ''
+    }
+    <category term="${escapeXml(post.category)}"/>${post.tags
+      .map((tag) => `\n    <category term="${escapeXml(tag)}"/>`)
+      .join('')}
+  </entry>`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.lang)}">
+  <id>${escapeXml(feed.atomUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${updated}</updated>
+  <author>
+    <name>${escapeXml(SITE.name)}</name>
+    <uri>${escapeXml(feed.aboutUrl)}</uri>
+  </author>${items}
+</feed>`;
+}
+
+function buildJsonFeed(feed, entries) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.jsonUrl,
+    description: feed.description,
+    language: feed.lang,
+    authors: [{ name: SITE.name, url: feed.aboutUrl }],
+    items: entries.map(({ post, content }) => ({
+      id: post.absoluteUrl,
+      url: post.absoluteUrl,
+      title: post.title,
+      summary: post.summary,
+      ...(content ? { content_html: content } : { content_text: post.summary }),
+      image: post.coverImageAbsolute,
+      date_published: post.isoDate,
+      tags: [post.category, ...post.tags]
+    }))
+  };
+}
+
+function absolutizeHtml(html, pageUrl) {
+  // Leitores de feed não conhecem a página de origem: caminhos do toPublicUrl e âncoras viram URLs completas.
+  const toAbsolute = (value) =>
+    value.startsWith('#') ? `${pageUrl}${value}` : new URL(value, SITE.origin).toString();
+
+  return html
+    .replace(
+      /\s(href|src)="((?:\/(?!\/)|#)[^"]*)"/g,
+      (match, name, value) => ` ${name}="${toAbsolute(value)}"`
+    )
+    .replace(/\ssrcset="([^"]*)"/g, (match, value) => {
+      const candidates = value.split(',').map((candidate) => {
+        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+        return [url.startsWith('/') ? toAbsolute(url) : url, ...descriptor].join(' ');
+      });
+      return ` srcset="${candidates.join(', ')}"`;
+    });
+}
+
+module.exports = {
+  writeSitemap,
+  writeRobots,
+  writeFeeds,
+  describeFeed,
+  toFeedLinks
+};
@@ -0,0 +1,60 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { minify } = require('html-minifier-terser');
+const { paths } = require('./config');
+const { toPublicUrl } = require('./urls');
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    })
+  );
+
+  return files.flat();
+}
+
+async function writeHashedAsset(directory, fileName, content) {
+  const extension = path.extname(fileName);
+  const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+  const hashedName = `${path.basename(fileName, extension)}.${hash}${extension}`;
+  const assetPath = `/assets/${directory ? `${directory}/` : ''}${hashedName}`;
+
+  await fs.mkdir(path.join(paths.out, 'assets', directory), { recursive: true });
+  await fs.writeFile(path.join(paths.out, assetPath), content);
+
+  return {
+    path: assetPath,
+    url: toPublicUrl(assetPath),
+    integrity: `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`
+  };
+}
+
+async function writeHtml(filepath, html) {
+  const minified = await minify(html, {
+    collapseWhitespace: true,
+    removeComments: true,
+    minifyCSS: true,
+    removeRedundantAttributes: true,
+    keepClosingSlash: true,
+    caseSensitive: true
+  });
+
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
+  await fs.writeFile(filepath, minified, 'utf8');
+}
+
+async function writeJson(filepath, data) {
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
+  await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+module.exports = {
+  listFiles,
+  writeHashedAsset,
+  writeHtml,
+  writeJson
+};
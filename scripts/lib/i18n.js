@@ -0,0 +1,93 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const yaml = require('js-yaml');
+const { ROOT, paths, SITE, LOCALES, DEFAULT_LOCALE } = require('./config');
+
+async function loadLocales() {
+  const locales = [];
+
+  for (const [index, locale] of LOCALES.entries()) {
+    const file = path.join(paths.i18n, `${locale.code}.yml`);
+    const relativePath = path.relative(ROOT, file);
+    let messages;
+
+    try {
+      messages = yaml.load(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Dicionário do idioma ${locale.code} não encontrado: ${relativePath}.`);
+      }
+
+      throw new Error(`Dicionário inválido em ${relativePath}: ${error.reason || error.message}.`);
+    }
+
+    locales.push({ ...locale, isDefault: index === 0, messages: messages || {} });
+  }
+
+  // O dicionário do idioma padrão é a referência: os outros precisam ter as mesmas chaves.
+  const [reference, ...others] = locales;
+  const problems = others.flatMap((locale) =>
+    findMissingKeys(reference.messages, locale.messages).map(
+      (key) => `${locale.code}.yml: falta a chave "${key}".`
+    )
+  );
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Dicionários incompletos (${problems.length} problema(s)):\n  ${problems.join('\n  ')}`
+    );
+  }
+
+  // A descrição do site.config, quando existe, vale para páginas, feeds e metadados.
+  if (SITE.description) {
+    for (const locale of locales) {
+      locale.messages.site.description = localize(SITE.description, locale);
+    }
+  }
+
+  return locales;
+}
+
+function findMissingKeys(reference, messages, prefix = '') {
+  return Object.entries(reference).flatMap(([key, value]) => {
+    const keyPath = `${prefix}${key}`;
+    const translated = messages && typeof messages === 'object' ? messages[key] : undefined;
+
+    if (translated === undefined || translated === null) {
+      return [keyPath];
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return findMissingKeys(value, translated, `${keyPath}.`);
+    }
+
+    return [];
+  });
+}
+
+function localePath(locale, pagePath) {
+  return `${locale.prefix}${pagePath}`;
+}
+
+// Mensagens com marcadores como "{count} artigo(s)"; marcadores sem valor ficam como estão.
+function formatMessage(message, values = {}) {
+  return String(message).replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? String(values[key]) : match
+  );
+}
+
+// Textos de site.config: string única ou objeto por idioma, com o idioma padrão como reserva.
+function localize(value, locale) {
+  if (!value || typeof value === 'string') {
+    return value || '';
+  }
+
+  return value[locale.code] ?? value[DEFAULT_LOCALE] ?? '';
+}
+
+module.exports = {
+  loadLocales,
+  localePath,
+  formatMessage,
+  localize
+};
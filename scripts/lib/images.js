@@ -0,0 +1,219 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { Jimp } = require('jimp');
+const {
+  paths,
+  NODE_MODULES_DIR,
+  IMAGE_CACHE_DIR,
+  ASSET_MANIFEST,
+  IMAGE_INFO,
+  IMAGE_WIDTHS,
+  SOCIAL_IMAGE_SIZE,
+  IMAGE_SIZES,
+  APP_ICON_SIZES
+} = require('./config');
+const { isExternalLink, toPublicUrl, toAbsoluteUrl, normalizePath } = require('./urls');
+const { writeHashedAsset } = require('./files');
+
+async function buildImageVariants(logicalPath, content) {
+  const sourceHash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+  const directory = path.posix.dirname(logicalPath).replace(/^\/assets\/?/, '');
+  const baseName = path.posix.basename(logicalPath, path.posix.extname(logicalPath));
+  let image = null;
+  const decode = async () => {
+    image = image || (await Jimp.read(content));
+    return image;
+  };
+
+  const meta = await cachedImageFile(`${sourceHash}.json`, async () => {
+    const { bitmap } = await decode();
+    let opaque = true;
+    for (let i = 3; i < bitmap.data.length && opaque; i += 4) {
+      opaque = bitmap.data[i] === 255;
+    }
+    return Buffer.from(JSON.stringify({ width: bitmap.width, height: bitmap.height, opaque }));
+  }).then((buffer) => JSON.parse(buffer.toString('utf8')));
+
+  const fallbackExtension = meta.opaque ? 'jpg' : 'png';
+  const widths = IMAGE_WIDTHS.filter((width) => width < meta.width);
+  if (widths.length === 0) {
+    widths.push(meta.width);
+  }
+
+  const info = {
+    width: meta.width,
+    height: meta.height,
+    sources: { avif: [], webp: [] },
+    fallback: [],
+    social: ''
+  };
+
+  const emit = async (variantName, buffer) => {
+    const hashed = await writeHashedAsset(directory, variantName, buffer);
+    ASSET_MANIFEST[`/assets/${directory}/${variantName}`] = hashed.path;
+    return hashed.path;
+  };
+
+  for (const width of widths) {
+    const resized = async () => (await decode()).clone().resize({ w: width });
+
+    for (const format of ['avif', 'webp', fallbackExtension]) {
+      const buffer = await cachedImageFile(`${sourceHash}-${width}.${format}`, async () =>
+        encodeImage(await resized(), format)
+      );
+      const variantPath = await emit(`${baseName}-${width}w.${format}`, buffer);
+      const target = format === fallbackExtension ? info.fallback : info.sources[format];
+      target.push({ width, path: variantPath });
+    }
+  }
+
+  const social = await cachedImageFile(`${sourceHash}-social.jpg`, async () =>
+    encodeImage(
+      (await decode()).clone().cover({ w: SOCIAL_IMAGE_SIZE.width, h: SOCIAL_IMAGE_SIZE.height }),
+      'jpg'
+    )
+  );
+  info.social = await emit(`${baseName}-social.jpg`, social);
+
+  IMAGE_INFO[logicalPath] = info;
+}
+
+// Ícones quadrados do app em PNG; um SVG vale para todos os tamanhos.
+async function buildAppIcons(iconPath) {
+  const logicalPath = normalizePath(iconPath);
+
+  if (path.posix.extname(logicalPath) === '.svg') {
+    return [{ src: toPublicUrl(logicalPath), sizes: 'any', type: 'image/svg+xml' }];
+  }
+
+  const content = await fs.readFile(
+    path.join(paths.assets, logicalPath.replace(/^\/assets\//, ''))
+  );
+  const sourceHash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+  const directory = path.posix.dirname(logicalPath).replace(/^\/assets\/?/, '');
+  const baseName = path.posix.basename(logicalPath, path.posix.extname(logicalPath));
+  let image = null;
+  const icons = [];
+
+  for (const size of APP_ICON_SIZES) {
+    const buffer = await cachedImageFile(`${sourceHash}-icon-${size}.png`, async () => {
+      image = image || (await Jimp.read(content));
+      return encodeImage(image.clone().cover({ w: size, h: size }), 'png');
+    });
+    const variantName = `${baseName}-icon-${size}.png`;
+    const hashed = await writeHashedAsset(directory, variantName, buffer);
+    ASSET_MANIFEST[`/assets/${directory}/${variantName}`] = hashed.path;
+    icons.push({ src: hashed.url, sizes: `${size}x${size}`, type: 'image/png' });
+  }
+
+  return icons;
+}
+
+async function cachedImageFile(key, create) {
+  const cachePath = path.join(IMAGE_CACHE_DIR, key);
+
+  try {
+    return await fs.readFile(cachePath);
+  } catch {
+    const buffer = await create();
+    await fs.mkdir(IMAGE_CACHE_DIR, { recursive: true });
+    await fs.writeFile(cachePath, buffer);
+    return buffer;
+  }
+}
+
+async function encodeImage(image, format) {
+  if (format === 'jpg') {
+    return image.getBuffer('image/jpeg', { quality: 80 });
+  }
+
+  if (format === 'png') {
+    return image.getBuffer('image/png');
+  }
+
+  const codecs = await loadImageCodecs();
+  const { data, width, height } = image.bitmap;
+  const pixels = {
+    data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+    width,
+    height
+  };
+  const encoded =
+    format === 'avif'
+      ? await codecs.avif(pixels, { quality: 50, speed: 8 })
+      : await codecs.webp(pixels, { quality: 75 });
+
+  return Buffer.from(encoded);
+}
+
+let imageCodecs = null;
+
+function loadImageCodecs() {
+  // Os codecs do @jsquash são ESM e buscariam o .wasm via fetch; compilamos direto do disco.
+  imageCodecs =
+    imageCodecs ||
+    (async () => {
+      const [webp, avif, { simd }] = await Promise.all([
+        import('@jsquash/webp/encode.js'),
+        import('@jsquash/avif/encode.js'),
+        import('wasm-feature-detect')
+      ]);
+      const compile = async (modulePath) =>
+        WebAssembly.compile(await fs.readFile(path.join(NODE_MODULES_DIR, modulePath)));
+
+      const webpWasm = (await simd()) ? 'webp_enc_simd.wasm' : 'webp_enc.wasm';
+      await webp.init(await compile(`@jsquash/webp/codec/enc/${webpWasm}`));
+      await avif.init(await compile('@jsquash/avif/codec/enc/avif_enc.wasm'));
+
+      return { webp: webp.default, avif: avif.default };
+    })();
+
+  return imageCodecs;
+}
+
+function toImageView(
+  rawPath,
+  { alt = '', className = '', sizes = IMAGE_SIZES.full, loading = 'lazy' } = {}
+) {
+  const info = IMAGE_INFO[normalizePath(rawPath)];
+  const view = { alt, className, sizes, loading, sources: [], srcset: '', width: '', height: '' };
+
+  if (!info) {
+    return { ...view, src: toPublicUrl(rawPath) };
+  }
+
+  const toSrcset = (variants) =>
+    variants.map((variant) => `${toPublicUrl(variant.path)} ${variant.width}w`).join(', ');
+
+  return {
+    ...view,
+    src: toPublicUrl(info.fallback[info.fallback.length - 1].path),
+    srcset: toSrcset(info.fallback),
+    width: info.width,
+    height: info.height,
+    sources: [
+      { type: 'image/avif', srcset: toSrcset(info.sources.avif) },
+      { type: 'image/webp', srcset: toSrcset(info.sources.webp) }
+    ]
+  };
+}
+
+function toSocialImageUrl(rawPath) {
+  const info = IMAGE_INFO[normalizePath(rawPath)];
+  return toAbsoluteUrl(info ? info.social : rawPath);
+}
+
+function toOgImageOverride(rawValue) {
+  const value = String(rawValue).trim();
+  return isExternalLink(value) ? value : toSocialImageUrl(value);
+}
+
+module.exports = {
+  buildImageVariants,
+  buildAppIcons,
+  cachedImageFile,
+  toImageView,
+  toSocialImageUrl,
+  toOgImageOverride
+};
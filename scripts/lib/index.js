@@ -0,0 +1,76 @@
+const fs = require('node:fs/promises');
+const { paths, configure } = require('./config');
+const { loadTemplates, loadPosts, loadProjects } = require('./content');
+const { loadLocales } = require('./i18n');
+const { loadSiteConfig } = require('./site-config');
+const { buildAssets, copyAdsFile } = require('./assets');
+const { writeOutputs, buildSeriesMap } = require('./pages');
+const { auditBuild } = require('./audit');
+
+// API programática: `build({ srcDir, outDir, site })` gera o site em outDir a partir de srcDir.
+// `site` tem precedência sobre o site.config (ou o `configFile` informado).
+async function build({ srcDir, outDir, site, configFile, listExternalLinks = false } = {}) {
+  configure({
+    srcDir,
+    outDir,
+    site: { ...(await loadSiteConfig(configFile, { srcDir })), ...site }
+  });
+  return buildSite({ listExternalLinks });
+}
+
+async function check({ srcDir, site, configFile } = {}) {
+  configure({ srcDir, site: { ...(await loadSiteConfig(configFile, { srcDir })), ...site } });
+  return checkSite();
+}
+
+async function buildSite({ listExternalLinks = false } = {}) {
+  await cleanBuildDir();
+
+  await buildAssets();
+  await copyAdsFile();
+
+  const templates = await loadTemplates();
+  const locales = await loadLocales();
+  const posts = await loadPosts(templates.partials, locales);
+  const projects = await loadProjects(templates.partials, locales);
+
+  const state = { templates, locales, posts, projects };
+  const sites = await writeOutputs(state);
+  await auditBuild({ listExternalLinks });
+
+  const tagCount = sites.reduce((total, site) => total + Object.keys(site.tagsMap).length, 0);
+  console.log(
+    `Build finalizado: ${posts.length} post(s), ${tagCount} tag(s) em ${sites.length} idioma(s).`
+  );
+  return state;
+}
+
+async function checkSite() {
+  const templates = await loadTemplates();
+  const locales = await loadLocales();
+  const posts = await loadPosts(templates.partials, locales);
+  const projects = await loadProjects(templates.partials, locales);
+
+  for (const locale of locales) {
+    buildSeriesMap(
+      posts.filter((post) => post.lang === locale.code && !post.unlisted),
+      locale
+    );
+  }
+
+  console.log(
+    `Verificação concluída: ${posts.length} post(s) e ${
+      projects[locales[0].code].length
+    } projeto(s) em ${locales.length} idioma(s) sem erros.`
+  );
+}
+
+async function cleanBuildDir() {
+  await fs.rm(paths.out, { recursive: true, force: true });
+  await fs.mkdir(paths.out, { recursive: true });
+}
+
+module.exports = {
+  build,
+  check
+};
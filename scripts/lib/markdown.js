@@ -0,0 +1,345 @@
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const { IMAGE_INFO, IMAGE_SIZES, ADMONITIONS } = require('./config');
+const { slugify } = require('./text');
+const { formatMessage } = require('./i18n');
+const { isExternalLink, toPublicUrl, normalizePath } = require('./urls');
+const { renderTemplate } = require('./template');
+const { toImageView } = require('./images');
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true
+});
+
+// Linguagens sem selo: o bloco já é texto puro.
+const PLAIN_LANGUAGES = ['plaintext', 'text', 'txt'];
+const FENCE_TITLE = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+const FENCE_LINES = /\{([\d\s,-]+)\}/;
+const ADMONITION_OPENING = /^:::\s*([\p{L}-]+)(?:\s+(.*))?$/u;
+
+// Avisos do build (ex.: linguagem desconhecida), com a linha relativa ao Markdown renderizado.
+function warn(env, line, message) {
+  if (env.warnings) {
+    env.warnings.push({ line: line + 1, message });
+  }
+}
+
+// ```js title="app.js" {1,3-5}: linguagem, título do arquivo e linhas destacadas.
+function parseFenceInfo(info) {
+  const title = FENCE_TITLE.exec(info);
+  const lines = FENCE_LINES.exec(info);
+  const [language = ''] = info
+    .replace(FENCE_TITLE, ' ')
+    .replace(FENCE_LINES, ' ')
+    .trim()
+    .split(/\s+/);
+
+  return {
+    language: language.toLowerCase(),
+    title: title ? (title[1] ?? title[2] ?? title[3]) : '',
+    highlightLines: lines ? parseLineRanges(lines[1]) : new Set()
+  };
+}
+
+function parseLineRanges(spec) {
+  const lines = new Set();
+
+  for (const range of spec.split(',')) {
+    const [from, to = from] = range.split('-').map((value) => Number.parseInt(value, 10));
+    for (let line = from; line <= to; line += 1) {
+      lines.add(line);
+    }
+  }
+
+  return lines;
+}
+
+// Quebra o HTML do highlight.js em linhas, fechando e reabrindo os <span> que atravessam a quebra.
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+
+  for (const part of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+      continue;
+    }
+
+    if (part.startsWith('<span')) {
+      open.push(part);
+    } else if (part === '</span>') {
+      open.pop();
+    }
+
+    current += part;
+  }
+
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines;
+}
+
+md.renderer.rules.fence = (tokens, idx, _options, env) => {
+  const token = tokens[idx];
+  const { language, title, highlightLines } = parseFenceInfo(token.info);
+  const definition = language ? hljs.getLanguage(language) : null;
+  const rawLines = token.content.replace(/\n$/, '').split('\n');
+
+  if (language && !definition) {
+    warn(
+      env,
+      token.map[0],
+      `bloco de código com linguagem desconhecida "${language}" (fica sem realce).`
+    );
+  }
+
+  if ([...highlightLines].some((line) => line < 1 || line > rawLines.length)) {
+    warn(
+      env,
+      token.map[0],
+      `bloco de código destaca linhas fora do intervalo 1-${rawLines.length}.`
+    );
+  }
+
+  let code = definition
+    ? hljs.highlight(token.content, { language }).value
+    : md.utils.escapeHtml(token.content);
+  const isDiff = definition === hljs.getLanguage('diff');
+
+  if (highlightLines.size > 0 || isDiff) {
+    const lines = splitHighlightedLines(code).map((line, index) => {
+      const classes = ['code-line'];
+      const marker = rawLines[index] ? rawLines[index][0] : '';
+
+      if (highlightLines.has(index + 1)) {
+        classes.push('is-highlighted');
+      }
+      if (isDiff && marker === '+') {
+        classes.push('is-added');
+      } else if (isDiff && marker === '-') {
+        classes.push('is-removed');
+      }
+
+      return `<span class="${classes.join(' ')}">${line}</span>`;
+    });
+    code = `${lines.join('\n')}\n`;
+  }
+
+  const badge =
+    language && !PLAIN_LANGUAGES.includes(language)
+      ? (definition && definition.name) || language
+      : '';
+  const header =
+    title || badge
+      ? `<div class="code-header">${
+          title ? `<span class="code-title">${md.utils.escapeHtml(title)}</span>` : ''
+        }${badge ? `<span class="code-language">${md.utils.escapeHtml(badge)}</span>` : ''}</div>\n`
+      : '';
+  const languageClass = definition ? ` class="language-${md.utils.escapeHtml(language)}"` : '';
+
+  return `<div class="code-block" data-copy-label="${md.utils.escapeHtml(
+    env.messages.post.copyCode
+  )}" data-copied-label="${md.utils.escapeHtml(
+    env.messages.post.codeCopied
+  )}">\n${header}<pre class="hljs"><code${languageClass}>${code}</code></pre>\n</div>\n`;
+};
+
+// :::nota [título] … ::: (também atencao/atenção e dica) vira um quadro de destaque.
+md.block.ruler.before(
+  'fence',
+  'admonition',
+  (state, startLine, endLine, silent) => {
+    const lineText = (line) =>
+      state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trim();
+
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+      return false;
+    }
+
+    const opening = ADMONITION_OPENING.exec(lineText(startLine));
+    if (!opening) {
+      return false;
+    }
+
+    const type = ADMONITIONS[slugify(opening[1])];
+    if (!type) {
+      if (!silent) {
+        warn(
+          state.env,
+          startLine,
+          `quadro ":::${opening[1]}" desconhecido; use ${Object.keys(ADMONITIONS).join(', ')}.`
+        );
+      }
+      return false;
+    }
+
+    if (silent) {
+      return true;
+    }
+
+    let nextLine = startLine;
+    let depth = 1;
+    while (++nextLine < endLine) {
+      const text = lineText(nextLine);
+      if (ADMONITION_OPENING.test(text)) {
+        depth += 1;
+      } else if (text === ':::' && (depth -= 1) === 0) {
+        break;
+      }
+    }
+
+    const previousParent = state.parentType;
+    const previousLineMax = state.lineMax;
+    state.parentType = 'admonition';
+    state.lineMax = nextLine;
+
+    const open = state.push('admonition_open', 'div', 1);
+    open.block = true;
+    open.info = (opening[2] || '').trim();
+    open.meta = { type };
+    open.map = [startLine, nextLine];
+
+    state.md.block.tokenize(state, startLine + 1, nextLine);
+
+    state.push('admonition_close', 'div', -1).block = true;
+    state.parentType = previousParent;
+    state.lineMax = previousLineMax;
+    state.line = Math.min(nextLine + 1, endLine);
+    return true;
+  },
+  { alt: ['paragraph', 'reference', 'blockquote', 'list'] }
+);
+
+md.renderer.rules.admonition_open = (tokens, idx, _options, env) => {
+  const { info, meta } = tokens[idx];
+  const title = info || env.messages.admonitions[meta.type];
+
+  return `<div class="admonition admonition-${meta.type}" role="note">\n<p class="admonition-title">${md.utils.escapeHtml(
+    title
+  )}</p>\n`;
+};
+
+md.renderer.rules.admonition_close = () => '</div>\n';
+
+md.core.ruler.push('heading_ids', (state) => {
+  const usedIds = new Set();
+  const headings = [];
+
+  state.tokens.forEach((token, idx) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const text = state.tokens[idx + 1].children
+      .filter((child) => child.type === 'text' || child.type === 'code_inline')
+      .map((child) => child.content)
+      .join('')
+      .trim();
+
+    const baseId = slugify(text) || 'secao';
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) {
+      id = `${baseId}-${suffix}`;
+    }
+
+    usedIds.add(id);
+    token.attrSet('id', id);
+    headings.push({ level: Number(token.tag.slice(1)), id, text });
+  });
+
+  state.env.headings = headings;
+});
+
+// O link "#" fica ao lado do título, fora dele: dentro, o aria-label entraria no nome do título
+// lido pelo leitor de tela, no sumário e no scroll-spy.
+md.renderer.rules.heading_open = (tokens, idx, options, _env, self) =>
+  `<div class="heading-block">${self.renderToken(tokens, idx, options)}`;
+
+md.renderer.rules.heading_close = (tokens, idx, _options, env) => {
+  const id = tokens[idx - 2].attrGet('id');
+  const { text } = env.headings.find((heading) => heading.id === id);
+  const label = md.utils.escapeHtml(
+    formatMessage(env.messages.post.headingAnchor, { title: text })
+  );
+  const href = `#${md.utils.escapeHtml(id)}`;
+  const anchor = `<a class="heading-anchor" href="${href}" aria-label="${label}"></a>`;
+  return `</${tokens[idx].tag}>${anchor}</div>\n`;
+};
+
+const defaultImageRenderer = md.renderer.rules.image;
+
+md.renderer.rules.image = (tokens, idx, options, env, self) => {
+  const src = tokens[idx].attrGet('src');
+
+  if (src && IMAGE_INFO[normalizePath(src)] && env.partials) {
+    const view = toImageView(src, {
+      alt: self.renderInlineAsText(tokens[idx].children, options, env),
+      sizes: IMAGE_SIZES.full
+    });
+    return renderTemplate(env.partials.picture, view, env.partials);
+  }
+
+  if (src && src.startsWith('/')) {
+    tokens[idx].attrSet('src', toPublicUrl(src));
+  }
+
+  return defaultImageRenderer(tokens, idx, options, env, self);
+};
+
+const defaultLinkRenderer =
+  md.renderer.rules.link_open ||
+  function defaultLinkOpen(tokens, idx, options, _env, self) {
+    return self.renderToken(tokens, idx, options);
+  };
+
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  const href = tokens[idx].attrGet('href');
+  if (isExternalLink(href)) {
+    tokens[idx].attrSet('target', '_blank');
+    tokens[idx].attrSet('rel', 'noopener noreferrer');
+  } else if (href && href.startsWith('/') && !href.startsWith('//')) {
+    tokens[idx].attrSet('href', toPublicUrl(href));
+  }
+
+  return defaultLinkRenderer(tokens, idx, options, env, self);
+};
+
+function addLazyLoadingToImages(html) {
+  return html.replace(/<img\s+(?![^>]*\bloading=)/g, '<img loading="lazy" ');
+}
+
+// Insere `render(n)` depois do n-ésimo parágrafo de primeiro nível (fora de listas, citações etc.).
+function insertAfterParagraphs(html, positions, render) {
+  const wanted = new Set(positions);
+  let depth = 0;
+  let paragraph = 0;
+
+  return html.replace(
+    /<(\/?)(p|blockquote|ul|ol|table|details|figure|div|pre)\b[^>]*>\n?/g,
+    (tag, closing, name) => {
+      if (name !== 'p') {
+        depth += closing ? -1 : 1;
+        return tag;
+      }
+
+      if (!closing || depth > 0) {
+        return tag;
+      }
+
+      paragraph += 1;
+      return wanted.has(paragraph) ? `${tag}${render(paragraph)}\n` : tag;
+    }
+  );
+}
+
+module.exports = {
+  md,
+  addLazyLoadingToImages,
+  insertAfterParagraphs
+};
@@ -0,0 +1,157 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const fsSync = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { Resvg } = require('@resvg/resvg-js');
+const {
+  NODE_MODULES_DIR,
+  OG_FONT_CACHE_DIR,
+  SITE,
+  SOCIAL_IMAGE_SIZE,
+  OG_FONTS
+} = require('./config');
+const { escapeXml } = require('./text');
+const { toAbsoluteUrl } = require('./urls');
+const { writeHashedAsset } = require('./files');
+const { cachedImageFile } = require('./images');
+
+async function renderOgImage({ name, kicker, title }) {
+  const svg = buildOgSvg(kicker, title);
+  const svgHash = crypto.createHash('sha256').update(svg).digest('hex').slice(0, 16);
+
+  const png = await cachedImageFile(`og-${svgHash}.png`, async () => {
+    const fontFiles = await loadOgFonts();
+    const renderer = new Resvg(svg, {
+      font: { fontFiles, loadSystemFonts: false, defaultFontFamily: 'Inter' }
+    });
+    return renderer.render().asPng();
+  });
+
+  const hashed = await writeHashedAsset('og', `${name}.png`, png);
+  return toAbsoluteUrl(hashed.path);
+}
+
+function buildOgSvg(kicker, title) {
+  const { width, height } = SOCIAL_IMAGE_SIZE;
+  let fontSize = 68;
+  let lines = wrapOgText(title, fontSize, 3);
+
+  if (lines.length > 2) {
+    fontSize = 56;
+    lines = wrapOgText(title, fontSize, 4);
+  }
+
+  const lineHeight = Math.round(fontSize * 1.18);
+  const titleTop = 250 - (lines.length > 2 ? 40 : 0);
+  const titleLines = lines
+    .map(
+      (line, index) =>
+        `<tspan x="96" y="${titleTop + index * lineHeight}">${escapeXml(line)}</tspan>`
+    )
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#f7f9f3"/>
+      <stop offset="1" stop-color="#e3eed2"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#bg)"/>
+  <rect x="0" y="0" width="24" height="${height}" fill="#556200"/>
+  <text x="96" y="140" font-family="Inter" font-weight="600" font-size="30" fill="#556200">${escapeXml(kicker)}</text>
+  <text font-family="Poppins" font-weight="700" font-size="${fontSize}" fill="#263216">${titleLines}</text>
+  <line x1="96" y1="520" x2="${width - 96}" y2="520" stroke="#5a703a" stroke-opacity="0.28" stroke-width="2"/>
+  <text x="96" y="574" font-family="Inter" font-weight="600" font-size="30" fill="#263216">${escapeXml(SITE.name)}</text>
+  <text x="${width - 96}" y="574" text-anchor="end" font-family="Inter" font-weight="400" font-size="26" fill="#5e7142">${escapeXml(
+    new URL(SITE.origin).host
+  )}</text>
+</svg>`;
+}
+
+function wrapOgText(text, fontSize, maxLines) {
+  // Sem medir glifos: a largura média de um caractere da Poppins em negrito fica perto de 0,58em.
+  const maxChars = Math.floor((SOCIAL_IMAGE_SIZE.width - 192) / (fontSize * 0.58));
+  const lines = [];
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const current = lines[lines.length - 1];
+    if (current !== undefined && `${current} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+  }
+
+  return lines;
+}
+
+let ogFontFiles = null;
+
+function loadOgFonts() {
+  // O resvg só lê TTF/OTF de arquivos; convertemos os .woff do @fontsource uma vez para o cache.
+  ogFontFiles =
+    ogFontFiles ||
+    (async () => {
+      await fs.mkdir(OG_FONT_CACHE_DIR, { recursive: true });
+
+      return Promise.all(
+        OG_FONTS.map(async (fontPath) => {
+          const target = path.join(OG_FONT_CACHE_DIR, `${path.basename(fontPath, '.woff')}.ttf`);
+          if (!fsSync.existsSync(target)) {
+            const woff = await fs.readFile(path.join(NODE_MODULES_DIR, fontPath));
+            await fs.writeFile(target, woffToSfnt(woff));
+          }
+          return target;
+        })
+      );
+    })();
+
+  return ogFontFiles;
+}
+
+function woffToSfnt(woff) {
+  const numTables = woff.readUInt16BE(12);
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+  const header = Buffer.alloc(12 + numTables * 16);
+  const tables = [];
+  let offset = header.length;
+
+  header.writeUInt32BE(woff.readUInt32BE(4), 0);
+  header.writeUInt16BE(numTables, 4);
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(entrySelector, 8);
+  header.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  for (let index = 0; index < numTables; index += 1) {
+    const entry = 44 + index * 20;
+    const record = 12 + index * 16;
+    const dataOffset = woff.readUInt32BE(entry + 4);
+    const compressedLength = woff.readUInt32BE(entry + 8);
+    const length = woff.readUInt32BE(entry + 12);
+    const raw = woff.subarray(dataOffset, dataOffset + compressedLength);
+    const data = compressedLength < length ? zlib.inflateSync(raw) : raw;
+    const padded = Buffer.alloc(Math.ceil(length / 4) * 4);
+
+    data.copy(padded);
+    woff.copy(header, record, entry, entry + 4);
+    header.writeUInt32BE(woff.readUInt32BE(entry + 16), record + 4);
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(length, record + 12);
+    tables.push(padded);
+    offset += padded.length;
+  }
+
+  return Buffer.concat([header, ...tables]);
+}
+
+module.exports = {
+  renderOgImage
+};
@@ -0,0 +1,1053 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const {
+  paths,
+  SITE,
+  ADS_LIVE,
+  VENDOR_ASSETS,
+  ASSET_MANIFEST,
+  IMAGE_SIZES,
+  APP_COLORS
+} = require('./config');
+const { stripHtml, decodeEntities, slugify, escapeHtml } = require('./text');
+const { serializeClientManifest, isExternalLink, toPublicUrl, toAbsoluteUrl } = require('./urls');
+const { renderTemplate } = require('./template');
+const { writeHtml, writeJson } = require('./files');
+const { toImageView, toSocialImageUrl, toOgImageOverride, buildAppIcons } = require('./images');
+const { renderOgImage } = require('./og');
+const { insertAfterParagraphs } = require('./markdown');
+const { writeDataFiles } = require('./assets');
+const { writeSitemap, writeRobots, writeFeeds, describeFeed, toFeedLinks } = require('./feeds');
+const { localePath, formatMessage, localize } = require('./i18n');
+const { writeWebManifests, writeServiceWorker } = require('./pwa');
+
+async function writeOutputs(
+  { templates, locales, posts, projects },
+  { postSlugs = null, staticPages = true } = {}
+) {
+  const sites = locales.map((locale) => {
+    const localePosts = posts.filter((post) => post.lang === locale.code);
+    const listedPosts = localePosts.filter((post) => !post.unlisted);
+
+    return {
+      locale,
+      locales,
+      t: locale.messages,
+      posts: localePosts,
+      listedPosts,
+      projects: projects[locale.code],
+      tagsMap: buildTagsMap(listedPosts, locale),
+      seriesMap: buildSeriesMap(listedPosts, locale),
+      categories: Array.from(new Set(listedPosts.map((post) => post.category))).sort((a, b) =>
+        a.localeCompare(b, locale.code)
+      )
+    };
+  });
+
+  // Versões da mesma página em cada idioma, para hreflang, sitemap e o seletor de idioma.
+  const alternates = buildAlternates(sites);
+  const appIcons = await buildAppIcons(SITE.images.icon);
+
+  for (const site of sites) {
+    site.alternates = alternates;
+    site.appIcons = appIcons;
+    await writeLocale(templates, site, { postSlugs, staticPages });
+  }
+
+  await writeJson(path.join(paths.out, 'assets', 'manifest.json'), ASSET_MANIFEST);
+  await writeRobots(locales);
+  await writeWebManifests(sites);
+  await writeServiceWorker(sites);
+
+  return sites;
+}
+
+async function writeLocale(templates, site, { postSlugs, staticPages }) {
+  const { locale, listedPosts, tagsMap, categories } = site;
+  const dataFile = (file) => localePath(locale, `/${file}`).slice(1);
+  const pages = ['index', 'blog', 'projects', 'about'].map((key) => ({
+    file: localePath(locale, `/${key}.html`),
+    key,
+    lastmod: new Date().toISOString()
+  }));
+
+  await writeDataFiles({
+    [dataFile('search-index.json')]: buildSearchIndex(listedPosts, templates.partials, site),
+    [dataFile('tags.json')]: tagsMap,
+    ...(SITE.build.searchBodyIndex
+      ? { [dataFile('search-body.json')]: buildBodyIndex(listedPosts) }
+      : {})
+  });
+
+  const feeds = await writeFeeds(listedPosts, categories, tagsMap, locale);
+
+  await buildHomePage(templates, site);
+  await buildBlogPage(templates, site, pages, feeds);
+
+  await buildProjectsPage(templates, site, pages);
+
+  if (staticPages) {
+    await buildAboutPage(templates, site);
+    await buildReadingListPage(templates, site);
+  }
+
+  await buildPostPages(templates, site, pages, postSlugs);
+  await buildTagPages(templates, site, pages, feeds);
+  await buildSeriesPages(templates, site, pages);
+
+  await writeSitemap(
+    pages.map((page) => ({ ...page, alternates: toHreflangLinks(site, page.key) })),
+    locale
+  );
+}
+
+function buildAlternates(sites) {
+  const alternates = new Map();
+  const add = (key, locale, file) => {
+    alternates.set(key, [...(alternates.get(key) || []), { locale, file }]);
+  };
+
+  for (const { locale, listedPosts, tagsMap, seriesMap, projects } of sites) {
+    for (const key of ['index', 'blog', 'projects', 'about', 'reading-list']) {
+      add(key, locale, localePath(locale, `/${key}.html`));
+    }
+
+    for (const post of listedPosts) {
+      add(`post:${post.translationKey}`, locale, post.path);
+    }
+
+    for (const tagName of Object.keys(tagsMap)) {
+      add(`tag:${slugify(tagName)}`, locale, localePath(locale, `/tags/${slugify(tagName)}.html`));
+    }
+
+    for (const series of Object.values(seriesMap)) {
+      add(`series:${series.slug}`, locale, series.path);
+    }
+
+    for (const project of projects.filter((candidate) => candidate.detailPath)) {
+      add(`project:${project.slug}`, locale, project.detailPath);
+    }
+  }
+
+  return alternates;
+}
+
+function toHreflangLinks({ alternates }, key) {
+  const versions = (key && alternates.get(key)) || [];
+
+  if (versions.length < 2) {
+    return [];
+  }
+
+  const fallback = versions.find((version) => version.locale.isDefault) || versions[0];
+
+  return [
+    ...versions.map((version) => ({
+      hreflang: version.locale.code,
+      url: toAbsoluteUrl(version.file)
+    })),
+    { hreflang: 'x-default', url: toAbsoluteUrl(fallback.file) }
+  ];
+}
+
+function toLanguageLinks({ locale, locales, alternates }, key) {
+  if (locales.length < 2) {
+    return [];
+  }
+
+  const versions = (key && alternates.get(key)) || [];
+
+  // Sem tradução desta página, o link leva para a home do outro idioma.
+  return locales.map((candidate) => {
+    const version = versions.find((item) => item.locale === candidate);
+
+    return {
+      code: candidate.code,
+      label: candidate.messages.name,
+      url: toPublicUrl(version ? version.file : localePath(candidate, '/index.html')),
+      current: candidate === locale
+    };
+  });
+}
+
+function buildTagsMap(posts, locale) {
+  const tagsMap = {};
+
+  for (const post of posts) {
+    for (const tag of post.tags) {
+      if (!tagsMap[tag]) {
+        tagsMap[tag] = [];
+      }
+
+      tagsMap[tag].push({
+        title: post.title,
+        summary: post.summary,
+        category: post.category,
+        date: post.formattedDate,
+        url: post.browsingUrl,
+        coverImage: post.coverImage
+      });
+    }
+  }
+
+  const sorted = {};
+  Object.keys(tagsMap)
+    .sort((a, b) => a.localeCompare(b, locale.code))
+    .forEach((tag) => {
+      sorted[tag] = tagsMap[tag];
+    });
+
+  return sorted;
+}
+
+function buildSeriesMap(posts, locale) {
+  const seriesMap = {};
+
+  for (const post of posts) {
+    if (!post.series) {
+      continue;
+    }
+
+    if (!seriesMap[post.series]) {
+      const slug = slugify(post.series);
+      const seriesPath = localePath(locale, `/series/${slug}.html`);
+      seriesMap[post.series] = {
+        name: post.series,
+        slug,
+        path: seriesPath,
+        url: toPublicUrl(seriesPath),
+        posts: []
+      };
+    }
+
+    seriesMap[post.series].posts.push(post);
+  }
+  for (const series of Object.values(seriesMap)) {
+    // Partes sem seriesOrder vão para o fim, na ordem de publicação.
+    series.posts.sort(
+      (a, b) => (a.seriesOrder ?? Infinity) - (b.seriesOrder ?? Infinity) || a.date - b.date
+    );
+
+    for (const [index, post] of series.posts.entries()) {
+      const previous = series.posts[index - 1];
+      if (previous && post.seriesOrder !== null && previous.seriesOrder === post.seriesOrder) {
+        throw new Error(
+          `A série "${series.name}" repete a parte ${post.seriesOrder} (${previous.slug} e ${post.slug}).`
+        );
+      }
+    }
+  }
+
+  return seriesMap;
+}
+
+function buildSearchIndex(posts, partials, site) {
+  return posts.map((post) => ({
+    title: post.title,
+    summary: post.summary,
+    tags: post.tags,
+    category: post.category,
+    url: post.browsingUrl,
+    date: post.formattedDate,
+    readingTime: post.readingTime,
+    wordCount: post.wordCount,
+    coverImage: post.coverImage,
+    tagSlugs: post.tagSlugs,
+    series: post.series,
+    cardHtml: renderTemplate(partials['article-card'], toCardView(post, site), partials)
+  }));
+}
+
+function buildBodyIndex(posts) {
+  return posts.map((post) => ({
+    url: post.browsingUrl,
+    sections: splitSections(post.htmlContent)
+  }));
+}
+
+function splitSections(html) {
+  const sections = [{ id: '', heading: '', text: '' }];
+
+  for (const part of html.split(/(<h[23] id="[^"]*">[\s\S]*?<\/h[23]>)/)) {
+    const heading = part.match(/^<h[23] id="([^"]*)">/);
+
+    if (heading) {
+      sections.push({ id: heading[1], heading: decodeEntities(stripHtml(part)), text: '' });
+    } else {
+      const current = sections[sections.length - 1];
+      current.text = `${current.text} ${decodeEntities(stripHtml(part))}`.trim();
+    }
+  }
+
+  return sections.filter((section) => section.heading || section.text);
+}
+
+async function buildHomePage(templates, site) {
+  const { locale, t } = site;
+  const latestPosts = site.listedPosts.slice(0, 3);
+  const content = renderTemplate(
+    templates.index,
+    {
+      t,
+      latestPosts: latestPosts.map((post) => toCardView(post, site)),
+      archive: toHomeArchiveView(site, latestPosts.length),
+      blogUrl: toPublicUrl(localePath(locale, '/blog.html')),
+      projectsUrl: toPublicUrl(localePath(locale, '/projects.html')),
+      pageAd: toPageAd('home')
+    },
+    templates.partials
+  );
+
+  const html = renderLayout(templates.base, site, 'index', {
+    content,
+    metaTitle: `${SITE.name} | ${t.site.title}`,
+    metaDescription: t.site.description,
+    canonicalUrl: toAbsoluteUrl(localePath(locale, '/index.html')),
+    ogTitle: `${SITE.name} | ${t.site.title}`,
+    ogDescription: t.site.description,
+    ogImage: toSocialImageUrl(SITE.images.default),
+    ogType: 'website',
+    ...toSeoOverrides('home', locale)
+  });
+
+  await writeHtml(path.join(paths.out, localePath(locale, '/index.html')), html);
+}
+
+// A home não é paginada: mostra os últimos posts e liga direto a cada página do arquivo do blog.
+function toHomeArchiveView({ locale, t, listedPosts }, shownCount) {
+  const olderCount = listedPosts.length - shownCount;
+
+  if (olderCount <= 0) {
+    return null;
+  }
+
+  return {
+    summary: formatMessage(t.home.archiveSummary, { count: olderCount }),
+    pages: paginate(listedPosts).map((chunk, index) => ({
+      label: formatMessage(t.home.archivePage, { page: index + 1 }),
+      url: toPublicUrl(blogPagePath(locale, index + 1))
+    }))
+  };
+}
+
+async function buildBlogPage(templates, site, pages, feeds) {
+  const { locale, t, listedPosts: posts, categories, tagsMap } = site;
+  const chunks = paginate(posts);
+  const pagePath = (pageNumber) => blogPagePath(locale, pageNumber);
+
+  await fs.rm(path.join(paths.out, localePath(locale, '/blog')), { recursive: true, force: true });
+
+  const ogImage = await renderOgImage({
+    name: `${locale.prefix ? `${locale.code}-` : ''}blog`,
+    kicker: formatMessage(t.blog.ogKicker, { count: posts.length }),
+    title: t.blog.ogCard
+  });
+
+  for (const [index, chunk] of chunks.entries()) {
+    const pageNumber = index + 1;
+    const pageSuffix =
+      pageNumber > 1 ? formatMessage(t.pagination.titleSuffix, { page: pageNumber }) : '';
+    const content = renderTemplate(
+      templates.blog,
+      {
+        t,
+        categories,
+        tags: Object.keys(tagsMap),
+        posts: chunk.map((post) => toCardView(post, site)),
+        pagination: toPaginationView(pageNumber, chunks.length, pagePath, t),
+        indexPath: localePath(locale, '/search-index.json'),
+        bodyIndexPath: SITE.build.searchBodyIndex ? localePath(locale, '/search-body.json') : '',
+        postsCount: formatMessage(t.blog.count, { count: posts.length }),
+        pageAd: toPageAd('blog')
+      },
+      templates.partials
+    );
+
+    const html = renderLayout(templates.base, site, pageNumber === 1 ? 'blog' : '', {
+      content,
+      metaTitle: `Blog${pageSuffix} | ${SITE.name}`,
+      metaDescription: t.blog.metaDescription,
+      canonicalUrl: toAbsoluteUrl(pagePath(pageNumber)),
+      ogTitle: `${t.blog.ogTitle}${pageSuffix} | ${SITE.name}`,
+      ogDescription: t.blog.ogDescription,
+      ogImage,
+      ogType: 'website',
+      feeds: [feeds.main, ...categories.map((category) => feeds.categories[category])].flatMap(
+        toFeedLinks
+      ),
+      headExtra: buildPaginationLinkTags(pageNumber, chunks.length, pagePath),
+      pageScripts: `\n  <script src="${VENDOR_ASSETS.fuse.url}" integrity="${VENDOR_ASSETS.fuse.integrity}" defer></script>`,
+      ...toSeoOverrides('blog', locale, pageSuffix)
+    });
+
+    await writeHtml(path.join(paths.out, pagePath(pageNumber)), html);
+
+    if (pageNumber > 1) {
+      pages.push({ file: pagePath(pageNumber), lastmod: new Date().toISOString() });
+    }
+  }
+}
+
+async function buildProjectsPage(templates, site, pages) {
+  const { locale, t, projects } = site;
+  const projectViews = projects.map((project) => toProjectView(project, site));
+
+  const content = renderTemplate(
+    templates.projects,
+    { t, projects: projectViews, pageAd: toPageAd('projects') },
+    templates.partials
+  );
+
+  const html = renderLayout(templates.base, site, 'projects', {
+    content,
+    metaTitle: `${t.projects.metaTitle} | ${SITE.name}`,
+    metaDescription: t.projects.metaDescription,
+    canonicalUrl: toAbsoluteUrl(localePath(locale, '/projects.html')),
+    ogTitle: `${t.projects.ogTitle} | ${SITE.name}`,
+    ogDescription: t.projects.ogDescription,
+    ogImage: await renderOgImage({
+      name: `${locale.prefix ? `${locale.code}-` : ''}projects`,
+      kicker: formatMessage(t.projects.ogKicker, { count: projects.length }),
+      title: t.projects.ogCard
+    }),
+    ogType: 'website',
+    ...toSeoOverrides('projects', locale)
+  });
+
+  await writeHtml(path.join(paths.out, localePath(locale, '/projects.html')), html);
+  await fs.rm(path.join(paths.out, localePath(locale, '/projects')), {
+    recursive: true,
+    force: true
+  });
+
+  for (const [index, project] of projects.entries()) {
+    if (!project.detailPath) {
+      continue;
+    }
+
+    const projectContent = renderTemplate(
+      templates.project,
+      {
+        t,
+        homeUrl: toPublicUrl(localePath(locale, '/index.html')),
+        projectsUrl: toPublicUrl(localePath(locale, '/projects.html')),
+        project: projectViews[index],
+        projectCover: project.coverImagePath
+          ? toImageView(project.coverImagePath, {
+              className: 'post-cover',
+              sizes: IMAGE_SIZES.full,
+              loading: 'eager'
+            })
+          : null,
+        relatedPosts: projectViews[index].relatedPosts
+      },
+      templates.partials
+    );
+
+    const projectHtml = renderLayout(templates.base, site, `project:${project.slug}`, {
+      content: projectContent,
+      metaTitle: `${project.title} | ${t.projects.metaTitle} | ${SITE.name}`,
+      metaDescription: project.description,
+      canonicalUrl: toAbsoluteUrl(project.detailPath),
+      ogTitle: `${project.title} | ${SITE.name}`,
+      ogDescription: project.description,
+      ogImage:
+        project.socialImage ||
+        (await renderOgImage({
+          name: `project-${project.slug}`,
+          kicker: project.stack,
+          title: project.title
+        })),
+      ogType: 'website'
+    });
+
+    await writeHtml(path.join(paths.out, project.detailPath), projectHtml);
+    pages.push({
+      file: project.detailPath,
+      key: `project:${project.slug}`,
+      lastmod: (project.date || new Date()).toISOString()
+    });
+  }
+}
+
+function toProjectView(project, site) {
+  const { locale, t } = site;
+  const knownTags = new Set(Object.keys(site.tagsMap));
+  const links = [];
+
+  if (project.detailPath) {
+    links.push({
+      label: t.projects.details,
+      url: toPublicUrl(project.detailPath),
+      external: false
+    });
+  }
+
+  if (project.url) {
+    links.push({ label: t.projects.open, url: project.url, external: isExternalLink(project.url) });
+  }
+
+  if (project.github) {
+    links.push({ label: 'GitHub', url: project.github, external: true });
+  }
+
+  return {
+    ...project,
+    cover: project.coverImagePath
+      ? toImageView(project.coverImagePath, {
+          className: 'card-cover',
+          sizes: IMAGE_SIZES.card
+        })
+      : null,
+    archived: project.status === 'archived',
+    tags: project.tags.map((tag) => ({
+      name: tag,
+      url: knownTags.has(tag) ? toPublicUrl(localePath(locale, `/tags/${slugify(tag)}.html`)) : ''
+    })),
+    links,
+    relatedPosts: findProjectPosts(project, site.listedPosts).map((post) => toCardView(post, site))
+  };
+}
+
+function findProjectPosts(project, posts) {
+  const projectTags = new Set(project.tags.map((tag) => slugify(tag)));
+
+  return posts
+    .map((post) => ({
+      post,
+      shared: post.tags.filter((tag) => projectTags.has(slugify(tag))).length
+    }))
+    .filter((item) => item.shared > 0)
+    .sort((a, b) => (b.shared !== a.shared ? b.shared - a.shared : b.post.date - a.post.date))
+    .map((item) => item.post)
+    .slice(0, 3);
+}
+
+async function buildAboutPage(templates, site) {
+  const { locale, t } = site;
+  const content = renderTemplate(
+    templates.about,
+    { t, siteName: SITE.name, pageAd: toPageAd('about') },
+    templates.partials
+  );
+
+  const html = renderLayout(templates.base, site, 'about', {
+    content,
+    metaTitle: `${t.about.metaTitle} | ${SITE.name}`,
+    metaDescription: formatMessage(t.about.metaDescription, { name: SITE.name }),
+    canonicalUrl: toAbsoluteUrl(localePath(locale, '/about.html')),
+    ogTitle: formatMessage(t.about.ogTitle, { name: SITE.name }),
+    ogDescription: t.about.ogDescription,
+    ogImage: toSocialImageUrl(SITE.images.default),
+    ogType: 'profile',
+    ...toSeoOverrides('about', locale)
+  });
+
+  await writeHtml(path.join(paths.out, localePath(locale, '/about.html')), html);
+}
+
+// Montada no navegador (reading-list.js) a partir dos posts salvos no Cache Storage; fica
+// fora do sitemap e dos buscadores.
+async function buildReadingListPage(templates, site) {
+  const { locale, t } = site;
+  const content = renderTemplate(
+    templates['reading-list'],
+    { t, postsPath: toPublicUrl(localePath(locale, '/posts/')) },
+    templates.partials
+  );
+
+  const html = renderLayout(templates.base, site, 'reading-list', {
+    content,
+    metaTitle: `${t.readingList.title} | ${SITE.name}`,
+    metaDescription: t.readingList.metaDescription,
+    canonicalUrl: toAbsoluteUrl(localePath(locale, '/reading-list.html')),
+    ogTitle: `${t.readingList.title} | ${SITE.name}`,
+    ogDescription: t.readingList.metaDescription,
+    headExtra: '\n  <meta name="robots" content="noindex">',
+    pageScripts: `\n  <script src="${toPublicUrl('/assets/js/reading-list.js')}" defer></script>`
+  });
+
+  await writeHtml(path.join(paths.out, localePath(locale, '/reading-list.html')), html);
+}
+
+// `seo.<página>` do site.config substitui título (completo), descrição e imagem da página.
+function toSeoOverrides(page, locale, titleSuffix = '') {
+  const seo = SITE.seo[page] || {};
+  const title = localize(seo.title, locale);
+  const description = localize(seo.description, locale);
+
+  return {
+    ...(title ? { metaTitle: `${title}${titleSuffix}`, ogTitle: `${title}${titleSuffix}` } : {}),
+    ...(description ? { metaDescription: description, ogDescription: description } : {}),
+    ...(seo.ogImage ? { ogImage: toOgImageOverride(seo.ogImage) } : {})
+  };
+}
+
+// Anúncios são opt-in: páginas fixas listadas em `ads.pages` e posts com `ads: true`.
+function toAdView(placement, className) {
+  const { client, slots } = SITE.ads;
+
+  if (!client) {
+    return null;
+  }
+
+  const slot = slots[placement] || slots.default;
+
+  // O espaço reservado dos builds locais não usa o slot; só o build publicado precisa dele.
+  if (!slot && ADS_LIVE) {
+    throw new Error(
+      `Defina ads.slots.${placement} (ou ads.slots.default) no site.config para exibir anúncios.`
+    );
+  }
+
+  return { client, slot, className, stub: !ADS_LIVE };
+}
+
+function toPageAd(page) {
+  return SITE.ads.pages.includes(page) ? toAdView(page, 'section ad-block glass') : null;
+}
+
+function insertPostAds(post, partials, t) {
+  const ad = post.ads ? toAdView('post', 'mid-ad') : null;
+
+  if (!ad) {
+    return post.htmlContent;
+  }
+
+  return insertAfterParagraphs(post.htmlContent, SITE.ads.afterParagraphs, () =>
+    renderTemplate(partials['ad-slot'], { ...ad, t }, partials)
+  );
+}
+
+async function buildPostPages(templates, site, pages, onlySlugs = null) {
+  const { locale, t, posts, seriesMap } = site;
+
+  for (const post of posts) {
+    if (!post.unlisted) {
+      pages.push({ file: post.path, key: `post:${post.translationKey}`, lastmod: post.isoDate });
+    }
+
+    if (onlySlugs && !onlySlugs.has(post.slug)) {
+      continue;
+    }
+
+    const structuredData = buildPostStructuredData(post);
+
+    const content = renderTemplate(
+      templates.post,
+      {
+        t,
+        homeUrl: toPublicUrl(localePath(locale, '/index.html')),
+        blogUrl: toPublicUrl(localePath(locale, '/blog.html')),
+        postTitle: post.title,
+        postCategory: post.category,
+        postDate: post.formattedDate,
+        readingTime: post.readingTime,
+        wordCount: post.wordCount.toLocaleString(locale.code),
+        postSummary: post.summary,
+        postCover: toImageView(post.coverImagePath, {
+          className: 'post-cover',
+          sizes: IMAGE_SIZES.full,
+          loading: 'eager'
+        }),
+        tags: toTagLinks(post, site),
+        postContent: insertPostAds(post, templates.partials, t),
+        toc: post.toc,
+        series: toSeriesNav(post, seriesMap, t),
+        draftLabel: post.isDraft
+          ? post.status === 'scheduled'
+            ? formatMessage(t.post.scheduled, { date: post.formattedDate })
+            : t.post.notPublished
+          : '',
+        relatedPosts: findRelatedPosts(post, posts).map((related) => toCardView(related, site))
+      },
+      templates.partials
+    );
+
+    const html = renderLayout(templates.base, site, `post:${post.translationKey}`, {
+      content,
+      metaTitle: `${post.title} | ${SITE.name}`,
+      metaDescription: post.summary,
+      canonicalUrl: post.absoluteUrl,
+      ogTitle: `${post.title} | ${SITE.name}`,
+      ogDescription: post.summary,
+      ogImage:
+        post.ogImage ||
+        (await renderOgImage({
+          name: post.slug,
+          kicker: `${post.category} · ${post.formattedDate}`,
+          title: post.title
+        })),
+      ogType: 'article',
+      headExtra: `${
+        post.unlisted || post.isDraft ? '\n  <meta name="robots" content="noindex">' : ''
+      }\n  <meta property="article:published_time" content="${post.isoDate}">\n  <meta property="article:section" content="${escapeHtml(post.category)}">\n  ${structuredData}`
+    });
+
+    await writeHtml(path.join(paths.out, post.path), html);
+  }
+}
+
+async function buildTagPages(templates, site, pages, feeds) {
+  const { locale, t, listedPosts: posts, tagsMap } = site;
+  const tagsDir = path.join(paths.out, localePath(locale, '/tags'));
+  await fs.rm(tagsDir, { recursive: true, force: true });
+  await fs.mkdir(tagsDir, { recursive: true });
+
+  for (const [tagName, entries] of Object.entries(tagsMap)) {
+    const slug = slugify(tagName);
+    const cards = posts
+      .filter((post) => post.tags.includes(tagName))
+      .map((post) => toCardView(post, site));
+
+    const chunks = paginate(cards);
+    const pagePath = (pageNumber) =>
+      localePath(
+        locale,
+        pageNumber === 1 ? `/tags/${slug}.html` : `/tags/${slug}/page/${pageNumber}.html`
+      );
+    const ogImage = await renderOgImage({
+      name: `tag-${slug}`,
+      kicker: formatMessage(t.tag.ogKicker, { count: entries.length }),
+      title: `#${tagName}`
+    });
+
+    for (const [index, chunk] of chunks.entries()) {
+      const pageNumber = index + 1;
+      const pageSuffix =
+        pageNumber > 1 ? formatMessage(t.pagination.titleSuffix, { page: pageNumber }) : '';
+      const key = pageNumber === 1 ? `tag:${slug}` : '';
+
+      const content = renderTemplate(
+        templates.tag,
+        {
+          t,
+          tagName,
+          tagCount: formatMessage(t.tag.count, { count: entries.length }),
+          tagFeedUrl: feeds.tags[tagName].atomUrl,
+          posts: chunk,
+          pagination: toPaginationView(pageNumber, chunks.length, pagePath, t)
+        },
+        templates.partials
+      );
+
+      const html = renderLayout(templates.base, site, key, {
+        content,
+        metaTitle: `${formatMessage(t.tag.metaTitle, { tag: tagName })}${pageSuffix} | ${SITE.name}`,
+        metaDescription: formatMessage(t.tag.metaDescription, { tag: tagName }),
+        canonicalUrl: toAbsoluteUrl(pagePath(pageNumber)),
+        ogTitle: `${formatMessage(t.tag.ogTitle, { tag: tagName })}${pageSuffix} | ${SITE.name}`,
+        ogDescription: formatMessage(t.tag.ogDescription, { count: entries.length, tag: tagName }),
+        ogImage,
+        ogType: 'website',
+        feeds: [feeds.tags[tagName], feeds.main].flatMap(toFeedLinks),
+        headExtra: buildPaginationLinkTags(pageNumber, chunks.length, pagePath)
+      });
+
+      await writeHtml(path.join(paths.out, pagePath(pageNumber)), html);
+      pages.push({ file: pagePath(pageNumber), key, lastmod: new Date().toISOString() });
+    }
+  }
+}
+
+async function buildSeriesPages(templates, site, pages) {
+  const { locale, t, seriesMap } = site;
+  await fs.rm(path.join(paths.out, localePath(locale, '/series')), {
+    recursive: true,
+    force: true
+  });
+
+  for (const series of Object.values(seriesMap)) {
+    const count = series.posts.length;
+    const content = renderTemplate(
+      templates.series,
+      {
+        t,
+        seriesName: series.name,
+        partCount: formatMessage(t.series.count, { count }),
+        parts: series.posts.map((post, index) => ({
+          part: formatMessage(t.series.part, { part: index + 1 }),
+          card: toCardView(post, site)
+        }))
+      },
+      templates.partials
+    );
+
+    const html = renderLayout(templates.base, site, `series:${series.slug}`, {
+      content,
+      metaTitle: `${formatMessage(t.series.metaTitle, { name: series.name })} | ${SITE.name}`,
+      metaDescription: formatMessage(t.series.metaDescription, { name: series.name }),
+      canonicalUrl: toAbsoluteUrl(series.path),
+      ogTitle: `${formatMessage(t.series.ogTitle, { name: series.name })} | ${SITE.name}`,
+      ogDescription: formatMessage(t.series.ogDescription, {
+        count,
+        first: series.posts[0].title
+      }),
+      ogImage: await renderOgImage({
+        name: `series-${series.slug}`,
+        kicker: formatMessage(t.series.ogKicker, { count }),
+        title: series.name
+      }),
+      ogType: 'website'
+    });
+
+    await writeHtml(path.join(paths.out, series.path), html);
+    pages.push({
+      file: series.path,
+      key: `series:${series.slug}`,
+      lastmod: series.posts.reduce(
+        (latest, post) => (post.isoDate > latest ? post.isoDate : latest),
+        ''
+      )
+    });
+  }
+}
+
+function toSeriesNav(post, seriesMap, t) {
+  const series = post.series ? seriesMap[post.series] : null;
+  const index = series ? series.posts.indexOf(post) : -1;
+
+  if (index === -1) {
+    return null;
+  }
+
+  const toLink = (part) => (part ? { title: part.title, url: part.browsingUrl } : null);
+
+  return {
+    name: series.name,
+    url: series.url,
+    label: formatMessage(t.series.label, { name: series.name }),
+    position: formatMessage(t.series.position, {
+      position: index + 1,
+      total: series.posts.length
+    }),
+    parts: series.posts.map((part) => ({ ...toLink(part), current: part === post })),
+    previous: toLink(series.posts[index - 1]),
+    next: toLink(series.posts[index + 1])
+  };
+}
+
+function paginate(items, pageSize = SITE.build.postsPerPage) {
+  const chunks = [];
+
+  for (let start = 0; start < items.length; start += pageSize) {
+    chunks.push(items.slice(start, start + pageSize));
+  }
+
+  return chunks.length > 0 ? chunks : [[]];
+}
+
+function blogPagePath(locale, pageNumber) {
+  return localePath(locale, pageNumber === 1 ? '/blog.html' : `/blog/page/${pageNumber}.html`);
+}
+
+function toPaginationView(pageNumber, totalPages, pagePath, t) {
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  return {
+    status: formatMessage(t.pagination.status, { page: pageNumber, total: totalPages }),
+    prevUrl: pageNumber > 1 ? toPublicUrl(pagePath(pageNumber - 1)) : '',
+    nextUrl: pageNumber < totalPages ? toPublicUrl(pagePath(pageNumber + 1)) : ''
+  };
+}
+
+function buildPaginationLinkTags(pageNumber, totalPages, pagePath) {
+  const links = [];
+
+  if (pageNumber > 1) {
+    links.push(`<link rel="prev" href="${toAbsoluteUrl(pagePath(pageNumber - 1))}">`);
+  }
+
+  if (pageNumber < totalPages) {
+    links.push(`<link rel="next" href="${toAbsoluteUrl(pagePath(pageNumber + 1))}">`);
+  }
+
+  return links.length > 0 ? `\n  ${links.join('\n  ')}` : '';
+}
+
+// Capas são decorativas (alt vazio): o título do post ou do projeto está sempre ao lado.
+function toCardView(post, site) {
+  return {
+    title: post.title,
+    summary: post.summary,
+    category: post.category,
+    date: post.formattedDate,
+    url: post.browsingUrl,
+    cover: toImageView(post.coverImagePath, {
+      className: 'card-cover',
+      sizes: IMAGE_SIZES.card
+    }),
+    tags: toTagLinks(post, site)
+  };
+}
+
+// Só tags de posts listados ganham página: as que aparecem apenas em posts com
+// `status: unlisted` ficam como texto, sem link.
+function toTagLinks(post, { locale, tagsMap }) {
+  return post.tags.map((tag) => ({
+    name: tag,
+    url: tagsMap[tag] ? toPublicUrl(localePath(locale, `/tags/${post.tagSlugs[tag]}.html`)) : ''
+  }));
+}
+
+function findRelatedPosts(current, posts) {
+  const scored = [];
+
+  for (const post of posts) {
+    if (post.slug === current.slug || post.unlisted) {
+      continue;
+    }
+
+    const sharedTags = post.tags.filter((tag) => current.tags.includes(tag)).length;
+    const categoryBonus = post.category === current.category ? 2 : 0;
+    const score = sharedTags + categoryBonus;
+
+    if (score > 0) {
+      scored.push({ post, score });
+    }
+  }
+
+  const ordered = scored
+    .sort((a, b) => (b.score !== a.score ? b.score - a.score : b.post.date - a.post.date))
+    .map((item) => item.post)
+    .slice(0, 3);
+
+  if (ordered.length > 0) {
+    return ordered;
+  }
+
+  return posts.filter((post) => post.slug !== current.slug && !post.unlisted).slice(0, 3);
+}
+
+function renderLayout(baseTemplate, site, key, params) {
+  const { locale, t } = site;
+  const hreflang = toHreflangLinks(site, key);
+  const adsLive = Boolean(SITE.ads.client) && ADS_LIVE;
+  const analyticsId = SITE.analytics.googleAnalytics;
+  const defaultParams = {
+    t,
+    lang: locale.code,
+    ogLocale: locale.ogLocale,
+    ogLocaleAlternates: hreflang
+      .map((link) => site.locales.find((candidate) => candidate.code === link.hreflang))
+      .filter((candidate) => candidate && candidate !== locale)
+      .map((candidate) => candidate.ogLocale),
+    metaTitle: `${SITE.name} | ${t.site.title}`,
+    metaDescription: t.site.description,
+    canonicalUrl: toAbsoluteUrl(localePath(locale, '/index.html')),
+    ogTitle: `${SITE.name} | ${t.site.title}`,
+    ogDescription: t.site.description,
+    ogImage: toSocialImageUrl(SITE.images.default),
+    ogType: 'website',
+    content: '',
+    siteName: SITE.name,
+    footer: formatMessage(t.site.footer, { name: SITE.name }),
+    navigation: toNavigation(site),
+    social: SITE.social,
+    adsClient: SITE.ads.client,
+    adsLive,
+    analyticsId,
+    // Anúncios e Analytics usam cookies: qualquer um dos dois passa pelo aviso de consentimento.
+    consentNeeded: adsLive || Boolean(analyticsId),
+    themeColor: APP_COLORS.theme,
+    manifestUrl: toPublicUrl(localePath(locale, '/manifest.webmanifest')),
+    appleTouchIcon: (site.appIcons.find((icon) => icon.type === 'image/png') || {}).src,
+    fontsUrl: VENDOR_ASSETS.fonts.url,
+    fontsIntegrity: VENDOR_ASSETS.fonts.integrity,
+    stylesUrl: toPublicUrl('/assets/css/styles.css'),
+    highlightStylesUrl: toPublicUrl('/assets/css/highlight.css'),
+    mainJsUrl: toPublicUrl('/assets/js/main.js'),
+    searchJsUrl: toPublicUrl('/assets/js/search.js'),
+    searchIndexPath: localePath(locale, '/search-index.json'),
+    fuseUrl: VENDOR_ASSETS.fuse.url,
+    fuseIntegrity: VENDOR_ASSETS.fuse.integrity,
+    pageScripts: '',
+    headExtra: '',
+    homeUrl: toPublicUrl(localePath(locale, '/index.html')),
+    blogUrl: toPublicUrl(localePath(locale, '/blog.html')),
+    projectsUrl: toPublicUrl(localePath(locale, '/projects.html')),
+    aboutUrl: toPublicUrl(localePath(locale, '/about.html')),
+    readingListUrl: toPublicUrl(localePath(locale, '/reading-list.html')),
+    hreflang,
+    languages: toLanguageLinks(site, key),
+    basePath: SITE.basePath,
+    clientManifest: serializeClientManifest(),
+    feeds: toFeedLinks(describeFeed(locale, '', SITE.name))
+  };
+
+  return renderTemplate(baseTemplate, { ...defaultParams, ...params });
+}
+
+// Itens do menu: páginas do site (no idioma atual) ou links livres { label, url }.
+function toNavigation({ locale, t }) {
+  return SITE.navigation.map((item) => {
+    if (typeof item === 'string') {
+      const file = item === 'home' ? '/index.html' : `/${item}.html`;
+      return { label: t.nav[item], url: toPublicUrl(localePath(locale, file)), external: false };
+    }
+
+    const external = isExternalLink(item.url);
+    return {
+      label: localize(item.label, locale),
+      url: item.url.startsWith('/') ? toPublicUrl(item.url) : item.url,
+      external
+    };
+  });
+}
+
+// Posts cujas páginas mudam quando os de `slugs` mudam: relacionados, mesma série e traduções.
+function findPostsRelatedTo(slugs, posts) {
+  const changed = posts.filter((post) => slugs.includes(post.slug));
+  const series = new Set(
+    changed.filter((post) => post.series).map((post) => `${post.lang}:${post.series}`)
+  );
+  const translations = new Set(changed.map((post) => post.translationKey));
+
+  return posts
+    .filter(
+      (post) =>
+        series.has(`${post.lang}:${post.series}`) ||
+        translations.has(post.translationKey) ||
+        findRelatedPosts(
+          post,
+          posts.filter((candidate) => candidate.lang === post.lang)
+        ).some((related) => slugs.includes(related.slug))
+    )
+    .map((post) => post.slug);
+}
+
+function buildPostStructuredData(post) {
+  const payload = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.summary,
+    image: post.coverImageAbsolute,
+    inLanguage: post.lang,
+    author: {
+      '@type': 'Person',
+      name: SITE.name,
+      ...(SITE.social.length > 0 ? { sameAs: SITE.social.map((profile) => profile.url) } : {})
+    },
+    publisher: {
+      '@type': 'Organization',
+      name: SITE.name
+    },
+    mainEntityOfPage: post.absoluteUrl,
+    datePublished: post.isoDate,
+    dateModified: post.isoDate,
+    wordCount: post.wordCount,
+    timeRequired: `PT${post.readingMinutes}M`
+  };
+
+  return `<script type="application/ld+json">${JSON.stringify(payload)}</script>`;
+}
+
+module.exports = {
+  writeOutputs,
+  buildSeriesMap,
+  findRelatedPosts,
+  findPostsRelatedTo
+};
@@ -0,0 +1,81 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { paths, SITE, VENDOR_ASSETS, ASSET_MANIFEST, APP_COLORS } = require('./config');
+const { toPublicUrl } = require('./urls');
+const { writeJson } = require('./files');
+const { localePath } = require('./i18n');
+
+// App shell guardado na instalação do service worker (caminhos lógicos, resolvidos para os
+// nomes com hash). Os dados da busca e a lista de leitura de cada idioma entram em seguida.
+const APP_SHELL = [
+  '/assets/css/styles.css',
+  '/assets/css/highlight.css',
+  '/assets/js/main.js',
+  '/assets/js/search.js',
+  '/assets/js/reading-list.js'
+];
+
+async function writeWebManifests(sites) {
+  for (const { locale, t, appIcons } of sites) {
+    await writeJson(path.join(paths.out, localePath(locale, '/manifest.webmanifest')), {
+      name: SITE.name,
+      short_name: t.site.tagline,
+      description: t.site.description,
+      lang: locale.code,
+      start_url: toPublicUrl(localePath(locale, '/index.html')),
+      scope: `${SITE.basePath}/`,
+      display: 'standalone',
+      theme_color: APP_COLORS.theme,
+      background_color: APP_COLORS.background,
+      icons: appIcons
+    });
+  }
+}
+
+// O sw.js sai na raiz do site (o escopo cobre todas as páginas) com a configuração do build
+// na primeira linha. A versão muda sempre que algum asset ou índice muda.
+async function writeServiceWorker(sites) {
+  const source = await fs.readFile(paths.serviceWorker, 'utf8');
+  const precache = [
+    ...APP_SHELL.filter((file) => ASSET_MANIFEST[file]).map(toPublicUrl),
+    VENDOR_ASSETS.fuse.url,
+    VENDOR_ASSETS.fonts.url,
+    ...sites.flatMap(({ locale }) =>
+      ['/search-index.json', '/tags.json', '/reading-list.html'].map((file) =>
+        toPublicUrl(localePath(locale, file))
+      )
+    )
+  ];
+  const version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(ASSET_MANIFEST))
+    .update(source)
+    .digest('hex')
+    .slice(0, 10);
+
+  // Idiomas com prefixo primeiro: /en/... não pode cair na página offline da raiz.
+  const locales = sites
+    .map(({ locale }) => locale)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  const config = {
+    version,
+    precache,
+    postPrefixes: locales.map((locale) => toPublicUrl(localePath(locale, '/posts/'))),
+    offlinePages: locales.map((locale) => ({
+      prefix: `${SITE.basePath}${locale.prefix}/`,
+      url: toPublicUrl(localePath(locale, '/reading-list.html'))
+    }))
+  };
+
+  await fs.writeFile(
+    path.join(paths.out, 'sw.js'),
+    `self.__SW_CONFIG__ = ${JSON.stringify(config)};\n\n${source}`,
+    'utf8'
+  );
+}
+
+module.exports = {
+  writeWebManifests,
+  writeServiceWorker
+};
@@ -0,0 +1,251 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const matter = require('gray-matter');
+const {
+  ROOT,
+  paths,
+  ADS_LIVE,
+  AD_SLOT_PLACEHOLDERS,
+  SITE_CONFIG_FILES,
+  SITE_CONFIG_SCHEMA,
+  LOCALES
+} = require('./config');
+const { checkFieldType } = require('./content');
+
+// Lê site.config.js ou site.config.json (na raiz do repositório, ou o arquivo informado).
+// Sem arquivo, o site usa os padrões de config.js e as variáveis de ambiente. `srcDir` indica
+// onde estão os posts que pedem anúncio (`ads: true`), conferidos no build publicado.
+async function loadSiteConfig(configFile, { srcDir } = {}) {
+  const candidates = configFile
+    ? [path.resolve(configFile)]
+    : SITE_CONFIG_FILES.map((file) => path.join(ROOT, file));
+  const found = [];
+
+  for (const file of candidates) {
+    try {
+      await fs.access(file);
+      found.push(file);
+    } catch {
+      if (configFile) {
+        throw new Error(`Arquivo de configuração não encontrado: ${configFile}.`);
+      }
+    }
+  }
+
+  if (found.length === 0) {
+    return {};
+  }
+
+  if (found.length > 1) {
+    throw new Error(`Use só um arquivo de configuração: ${SITE_CONFIG_FILES.join(' ou ')}.`);
+  }
+
+  const [file] = found;
+  const relativePath = path.relative(ROOT, file);
+  let config;
+
+  try {
+    if (file.endsWith('.json')) {
+      config = JSON.parse(await fs.readFile(file, 'utf8'));
+    } else {
+      config = require(file);
+    }
+  } catch (error) {
+    throw new Error(`Configuração inválida em ${relativePath}: ${error.message}`);
+  }
+
+  const problems = [];
+  // O configure() ainda não rodou: com `srcDir`, assets e posts vêm de lá.
+  const assetsDir = srcDir ? path.join(path.resolve(srcDir), 'assets') : paths.assets;
+  const postsDir = srcDir ? path.join(path.resolve(srcDir), 'posts') : paths.posts;
+  validateValue(config, { type: 'object', fields: SITE_CONFIG_SCHEMA }, '', problems, assetsDir);
+
+  if (ADS_LIVE && problems.length === 0) {
+    await validateLiveAds(config.ads, postsDir, problems);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Configuração inválida em ${relativePath} (${problems.length} problema(s)):\n  ${problems.join(
+        '\n  '
+      )}`
+    );
+  }
+
+  return config;
+}
+
+function validateValue(value, rule, keyPath, problems, assetsDir) {
+  const report = (message) => problems.push(keyPath ? `"${keyPath}" ${message}` : message);
+
+  switch (rule.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        report('deve ser um objeto.');
+        return;
+      }
+
+      validateFields(value, rule.fields, keyPath, problems, assetsDir);
+      return;
+    }
+    case 'list': {
+      if (!Array.isArray(value)) {
+        report('deve ser uma lista.');
+        return;
+      }
+
+      value.forEach((item, index) =>
+        validateValue(item, rule.items, `${keyPath}[${index}]`, problems, assetsDir)
+      );
+      return;
+    }
+    case 'page-or-link': {
+      if (typeof value === 'string') {
+        if (!rule.oneOf.includes(value)) {
+          report(`tem valor "${value}" fora da lista: ${rule.oneOf.join(', ')}.`);
+        }
+        return;
+      }
+
+      validateValue(value, { type: 'object', fields: rule.fields }, keyPath, problems, assetsDir);
+      return;
+    }
+    case 'localized': {
+      if (typeof value === 'string' && value.trim()) {
+        return;
+      }
+
+      const codes = LOCALES.map((locale) => locale.code);
+      const valid =
+        value &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.entries(value).every(
+          ([code, text]) => codes.includes(code) && typeof text === 'string' && text.trim()
+        );
+
+      if (!valid) {
+        report(`deve ser um texto ou um objeto com textos por idioma (${codes.join(', ')}).`);
+      }
+      return;
+    }
+    case 'string': {
+      if (typeof value !== 'string') {
+        report('deve ser um texto.');
+      } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+        report(`tem valor "${value}" fora da lista: ${rule.oneOf.join(', ')}.`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        report(`tem valor "${value}" fora do formato esperado (${rule.pattern}).`);
+      }
+      return;
+    }
+    case 'url': {
+      if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/i.test(value)) {
+        report('deve ser uma URL http(s) absoluta.');
+      }
+      return;
+    }
+    case 'asset': {
+      // Mesma regra do front matter dos posts: prefixo /assets/ e arquivo existente.
+      const problem =
+        typeof value === 'string'
+          ? checkFieldType(value, rule, { assetsDir })
+          : 'deve ser um texto.';
+      if (problem) {
+        report(problem);
+      }
+      return;
+    }
+    case 'integer': {
+      if (!Number.isInteger(value) || value < (rule.min ?? -Infinity)) {
+        report(`deve ser um número inteiro a partir de ${rule.min}.`);
+      }
+      return;
+    }
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        report('deve ser true ou false.');
+      }
+    }
+  }
+}
+
+// Com ADS_LIVE=1 o build publica anúncios de verdade: cada página de `ads.pages` e os posts com
+// `ads: true` precisam de um slot, e nenhum slot pode ser o ID de exemplo do AdSense.
+async function validateLiveAds(ads, postsDir, problems) {
+  if (!ads || !ads.client) {
+    return;
+  }
+
+  const slots = ads.slots || {};
+
+  for (const [placement, slot] of Object.entries(slots)) {
+    if (AD_SLOT_PLACEHOLDERS.includes(slot)) {
+      problems.push(
+        `"ads.slots.${placement}" usa o ID de exemplo "${slot}"; use o ID de um bloco do AdSense.`
+      );
+    }
+  }
+
+  for (const page of ads.pages || []) {
+    if (!slots[page] && !slots.default) {
+      problems.push(
+        `"ads.pages" inclui "${page}", mas faltam ads.slots.${page} e ads.slots.default.`
+      );
+    }
+  }
+
+  if (!slots.post && !slots.default) {
+    const postsWithAds = await findPostsWithAds(postsDir);
+
+    if (postsWithAds.length > 0) {
+      problems.push(
+        `faltam ads.slots.post e ads.slots.default para os posts com "ads: true": ${postsWithAds.join(
+          ', '
+        )}.`
+      );
+    }
+  }
+}
+
+async function findPostsWithAds(postsDir) {
+  const files = (await fs.readdir(postsDir)).filter((file) => file.endsWith('.md'));
+  const found = [];
+
+  for (const file of files) {
+    try {
+      if (matter(await fs.readFile(path.join(postsDir, file), 'utf8'), {}).data.ads === true) {
+        found.push(path.relative(ROOT, path.join(postsDir, file)));
+      }
+    } catch {
+      // Front matter com erro fica para a validação dos posts, que aponta o arquivo e a linha.
+    }
+  }
+
+  return found;
+}
+
+function validateFields(value, fields, keyPath, problems, assetsDir) {
+  const prefix = keyPath ? `${keyPath}.` : '';
+
+  for (const [field, rule] of Object.entries(fields)) {
+    if (!(field in value) || value[field] === null) {
+      if (rule.required) {
+        problems.push(`"${prefix}${field}" é obrigatório.`);
+      }
+      continue;
+    }
+
+    validateValue(value[field], rule, `${prefix}${field}`, problems, assetsDir);
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!(field in fields)) {
+      problems.push(`"${prefix}${field}" não é um campo conhecido.`);
+    }
+  }
+}
+
+module.exports = {
+  loadSiteConfig
+};
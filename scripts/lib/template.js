@@ -0,0 +1,147 @@
+const { escapeHtml } = require('./text');
+
+function renderTemplate(template, params, partials = {}) {
+  return renderNodes(compileTemplate(template), [{ context: params, data: {} }], partials);
+}
+
+const compiledTemplates = new Map();
+
+function compileTemplate(template) {
+  if (!compiledTemplates.has(template)) {
+    compiledTemplates.set(template, parseTemplate(template));
+  }
+
+  return compiledTemplates.get(template);
+}
+
+function parseTemplate(template) {
+  const tagPattern =
+    /{{{\s*([\w.@]+)\s*}}}|{{\s*(#each|#if|\/each|\/if|else\b|>)?\s*([\w.@-]*)\s*([\w.@]*)\s*}}/g;
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inElse ? current().inverse : current().children);
+
+  while ((match = tagPattern.exec(template)) !== null) {
+    const [raw, rawPath, keyword, name, argument] = match;
+
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + raw.length;
+
+    if (rawPath) {
+      target().push({ type: 'value', path: rawPath, raw: true });
+    } else if (keyword === '#each' || keyword === '#if') {
+      const block = {
+        type: keyword.slice(1),
+        path: name,
+        children: [],
+        inverse: [],
+        inElse: false
+      };
+      target().push(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      if (stack.length === 1) {
+        throw new Error('Template com {{else}} fora de um bloco.');
+      }
+      current().inElse = true;
+    } else if (keyword === '/each' || keyword === '/if') {
+      if (current().type !== keyword.slice(1)) {
+        throw new Error(`Template com {{${keyword}}} sem o bloco de abertura correspondente.`);
+      }
+      stack.pop();
+    } else if (keyword === '>') {
+      target().push({ type: 'partial', name, path: argument });
+    } else {
+      target().push({ type: 'value', path: name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template com bloco {{#${current().type}}} sem fechamento.`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+function renderNodes(nodes, scopes, partials) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'value') {
+      const value = lookupTemplateValue(node.path, scopes);
+      if (value !== undefined && value !== null) {
+        output += node.raw ? String(value) : escapeHtml(value);
+      }
+    } else if (node.type === 'if') {
+      const value = lookupTemplateValue(node.path, scopes);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      output += renderNodes(truthy ? node.children : node.inverse, scopes, partials);
+    } else if (node.type === 'each') {
+      const items = lookupTemplateValue(node.path, scopes) || [];
+      if (items.length === 0) {
+        output += renderNodes(node.inverse, scopes, partials);
+        continue;
+      }
+
+      items.forEach((item, index) => {
+        const data = { index, first: index === 0, last: index === items.length - 1 };
+        output += renderNodes(node.children, [...scopes, { context: item, data }], partials);
+      });
+    } else if (node.type === 'partial') {
+      if (!(node.name in partials)) {
+        throw new Error(`Partial não encontrado: ${node.name}`);
+      }
+
+      const partialScopes = node.path
+        ? [...scopes, { context: lookupTemplateValue(node.path, scopes), data: {} }]
+        : scopes;
+      output += renderNodes(compileTemplate(partials[node.name]), partialScopes, partials);
+    }
+  }
+
+  return output;
+}
+
+function lookupTemplateValue(keyPath, scopes) {
+  const top = scopes[scopes.length - 1];
+
+  if (keyPath === 'this' || keyPath === '.') {
+    return top.context;
+  }
+
+  if (keyPath.startsWith('@')) {
+    const key = keyPath.slice(1);
+    const scope = [...scopes].reverse().find((candidate) => key in candidate.data);
+    return scope ? scope.data[key] : undefined;
+  }
+
+  const [head, ...rest] = keyPath.split('.');
+  const scope = [...scopes]
+    .reverse()
+    .find(({ context }) => context !== null && typeof context === 'object' && head in context);
+
+  if (!scope) {
+    return undefined;
+  }
+
+  return rest.reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    scope.context[head]
+  );
+}
+
+module.exports = {
+  renderTemplate
+};
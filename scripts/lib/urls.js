@@ -0,0 +1,75 @@
+const path = require('node:path');
+const { SITE, ASSET_MANIFEST, CLIENT_MANIFEST_EXTENSIONS } = require('./config');
+
+function serializeClientManifest() {
+  const entries = Object.entries(ASSET_MANIFEST).filter(([logicalPath]) =>
+    CLIENT_MANIFEST_EXTENSIONS.includes(path.extname(logicalPath))
+  );
+
+  return JSON.stringify(Object.fromEntries(entries)).replace(/</g, '\\u003c');
+}
+
+function isExternalLink(href) {
+  if (!href) {
+    return false;
+  }
+
+  const value = String(href).trim();
+  if (!value || value.startsWith('#') || value.startsWith('/')) {
+    return false;
+  }
+
+  if (/^(mailto:|tel:|javascript:)/i.test(value)) {
+    return false;
+  }
+
+  try {
+    const linkUrl = new URL(value, SITE.origin);
+    const siteOrigin = new URL(SITE.origin).origin;
+    return linkUrl.origin !== siteOrigin;
+  } catch {
+    return false;
+  }
+}
+
+function toPublicUrl(rawPath) {
+  if (/^https?:\/\//i.test(String(rawPath))) {
+    return String(rawPath);
+  }
+
+  const normalized = resolveAssetPath(normalizePath(rawPath));
+  const pathWithBase = `${SITE.basePath}${normalized}`;
+  return pathWithBase || '/';
+}
+
+function toAbsoluteUrl(rawPath) {
+  if (/^https?:\/\//i.test(String(rawPath))) {
+    return String(rawPath);
+  }
+
+  const normalized = resolveAssetPath(normalizePath(rawPath));
+  const pathWithBase = `${SITE.basePath}${normalized}` || '/';
+  return new URL(pathWithBase, SITE.origin).toString();
+}
+
+function resolveAssetPath(normalizedPath) {
+  return ASSET_MANIFEST[normalizedPath] || normalizedPath;
+}
+
+function normalizePath(rawPath) {
+  const value = String(rawPath || '').trim();
+
+  if (!value || value === '/') {
+    return '/';
+  }
+
+  return value.startsWith('/') ? value : `/${value}`;
+}
+
+module.exports = {
+  serializeClientManifest,
+  isExternalLink,
+  toPublicUrl,
+  toAbsoluteUrl,
+  normalizePath
+};
@@ -9,6 +9,12 @@ if [[ ! -d node_modules ]]; then
   npm install
 fi
 
+if [[ "${1:-}" == "--watch" ]]; then
+  PORT="${2:-8080}"
+  echo "[watch] Build incremental com live reload em http://localhost:${PORT}"
+  exec node scripts/build.js --watch --port "$PORT"
+fi
+
 echo "[build] Gerando site estático..."
 npm run build
 echo "[ok] Build atualizado em ./build"
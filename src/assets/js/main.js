@@ -1,12 +1,357 @@
 (function () {
-  const ads = document.querySelectorAll('.adsbygoogle');
-  if (window.adsbygoogle && ads.length > 0) {
-    ads.forEach(() => {
+  const CONSENT_KEY = 'consentimento-cookies';
+  // Mesma chave lida pelo script inline do base.html antes da primeira pintura.
+  const THEME_KEY = 'tema';
+  const ADS_SCRIPT_URL = 'https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js';
+  const ANALYTICS_SCRIPT_URL = 'https://www.googletagmanager.com/gtag/js';
+
+  const readConsent = () => {
+    try {
+      return localStorage.getItem(CONSENT_KEY);
+    } catch {
+      return null;
+    }
+  };
+
+  const saveConsent = (value) => {
+    try {
+      localStorage.setItem(CONSENT_KEY, value);
+    } catch {
+      // Sem localStorage a escolha vale só para esta página.
+    }
+  };
+
+  // O tema inicial já vem do base.html; aqui só alternamos, salvamos a escolha e, enquanto
+  // não houver escolha salva, acompanhamos a preferência do sistema.
+  const initThemeToggle = () => {
+    const root = document.documentElement;
+    const button = document.querySelector('[data-theme-toggle]');
+    const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+    const readTheme = () => {
       try {
-        window.adsbygoogle.push({});
+        return localStorage.getItem(THEME_KEY);
+      } catch {
+        return null;
+      }
+    };
+
+    const applyTheme = (theme) => {
+      root.setAttribute('data-theme', theme);
+      if (button) {
+        button.setAttribute('aria-pressed', String(theme === 'dark'));
+      }
+    };
+
+    applyTheme(root.getAttribute('data-theme') === 'dark' ? 'dark' : 'light');
+
+    if (media && media.addEventListener) {
+      media.addEventListener('change', (event) => {
+        if (!readTheme()) {
+          applyTheme(event.matches ? 'dark' : 'light');
+        }
+      });
+    }
+
+    if (!button) {
+      return;
+    }
+
+    button.hidden = false;
+    button.addEventListener('click', () => {
+      const theme = root.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+      applyTheme(theme);
+      try {
+        localStorage.setItem(THEME_KEY, theme);
+      } catch {
+        // Sem localStorage o tema vale só para esta página.
+      }
+    });
+  };
+
+  // Os scripts do AdSense e do Google Analytics só entram na página depois do consentimento
+  // (LGPD), e cada slot de anúncio é preenchido quando chega perto da área visível.
+  const initConsent = () => {
+    const banner = document.querySelector('[data-consent-banner]');
+    const client = window.__ADS_CLIENT__;
+    const analyticsId = window.__ANALYTICS_ID__;
+    const slots = client ? Array.from(document.querySelectorAll('[data-ad]')) : [];
+    let scriptLoaded = false;
+    let analyticsLoaded = false;
+    let observer = null;
+
+    if (!banner || (!client && !analyticsId)) {
+      return;
+    }
+
+    const loadAnalytics = () => {
+      if (!analyticsId || analyticsLoaded) {
+        return;
+      }
+
+      analyticsLoaded = true;
+      window.dataLayer = window.dataLayer || [];
+      window.gtag = function gtag() {
+        window.dataLayer.push(arguments);
+      };
+      window.gtag('js', new Date());
+      window.gtag('config', analyticsId);
+
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = `${ANALYTICS_SCRIPT_URL}?id=${encodeURIComponent(analyticsId)}`;
+      document.head.appendChild(script);
+    };
+
+    const loadScript = () => {
+      if (scriptLoaded) {
+        return;
+      }
+
+      scriptLoaded = true;
+      const script = document.createElement('script');
+      script.async = true;
+      script.crossOrigin = 'anonymous';
+      script.src = `${ADS_SCRIPT_URL}?client=${encodeURIComponent(client)}`;
+      document.head.appendChild(script);
+    };
+
+    const fillSlot = () => {
+      loadScript();
+      try {
+        (window.adsbygoogle = window.adsbygoogle || []).push({});
       } catch (err) {
         console.warn('Falha ao inicializar Google Ads:', err);
       }
+    };
+
+    const showAds = () => {
+      if (!client) {
+        return;
+      }
+
+      slots.forEach((slot) => {
+        slot.hidden = false;
+      });
+
+      if (!('IntersectionObserver' in window)) {
+        slots.forEach(fillSlot);
+        return;
+      }
+
+      observer = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+              observer.unobserve(entry.target);
+              fillSlot(entry.target);
+            }
+          });
+        },
+        { rootMargin: '200px 0px' }
+      );
+
+      slots.forEach((slot) => observer.observe(slot));
+    };
+
+    const hideAds = () => {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      slots.forEach((slot) => {
+        slot.hidden = true;
+      });
+    };
+
+    banner.addEventListener('click', (event) => {
+      const choice = event.target.closest('[data-consent]');
+      if (!choice) {
+        return;
+      }
+
+      const previous = readConsent();
+      const value = choice.dataset.consent;
+      saveConsent(value);
+      banner.hidden = true;
+
+      if (value === 'granted' && previous !== 'granted') {
+        showAds();
+        loadAnalytics();
+      } else if (value === 'denied' && (scriptLoaded || analyticsLoaded)) {
+        // Scripts do Google não têm como ser descarregados; recarregar a página os remove.
+        window.location.reload();
+      } else if (value === 'denied') {
+        hideAds();
+      }
+    });
+
+    document.querySelectorAll('[data-consent-open]').forEach((button) => {
+      button.addEventListener('click', () => {
+        banner.hidden = false;
+      });
+    });
+
+    const consent = readConsent();
+    if (consent === 'granted') {
+      showAds();
+      loadAnalytics();
+    } else if (!consent && (slots.length > 0 || analyticsId)) {
+      banner.hidden = false;
+    }
+  };
+
+  const initCodeCopy = () => {
+    if (!navigator.clipboard) {
+      return;
+    }
+
+    document.querySelectorAll('.code-block').forEach((block) => {
+      const code = block.querySelector('code');
+      const button = document.createElement('button');
+      const { copyLabel, copiedLabel } = block.dataset;
+      let resetTimer;
+
+      button.type = 'button';
+      button.className = 'code-copy';
+      button.textContent = copyLabel;
+
+      button.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(code.textContent);
+        } catch (err) {
+          console.warn('Falha ao copiar o código:', err);
+          return;
+        }
+
+        button.textContent = copiedLabel;
+        clearTimeout(resetTimer);
+        resetTimer = setTimeout(() => {
+          button.textContent = copyLabel;
+        }, 2000);
+      });
+
+      (block.querySelector('.code-header') || block).appendChild(button);
+    });
+  };
+
+  // Mesmo cache usado pelo sw.js e pelo reading-list.js.
+  const READING_LIST_CACHE = 'lista-de-leitura';
+
+  const initServiceWorker = () => {
+    if (!('serviceWorker' in navigator) || window.__DEV_SERVER__) {
+      return;
+    }
+
+    navigator.serviceWorker
+      .register(`${window.__SITE_BASE_PATH__ || ''}/sw.js`)
+      .catch((err) => console.warn('Falha ao registrar o service worker:', err));
+  };
+
+  // Guarda o post e os arquivos que ele usa (CSS, scripts, imagens) para abrir offline.
+  const initSavePost = async () => {
+    const button = document.querySelector('[data-save-post]');
+    if (!button || !('caches' in window)) {
+      return;
+    }
+
+    const { saveLabel, removeLabel } = button.dataset;
+    const pageUrl = window.location.pathname;
+    const cache = await caches.open(READING_LIST_CACHE);
+    const setSaved = (saved) => {
+      button.textContent = saved ? removeLabel : saveLabel;
+    };
+
+    setSaved(Boolean(await cache.match(pageUrl)));
+    button.hidden = false;
+
+    button.addEventListener('click', async () => {
+      if (await cache.delete(pageUrl)) {
+        setSaved(false);
+        return;
+      }
+
+      const resources = Array.from(
+        document.querySelectorAll('link[rel="stylesheet"][href], script[src], .post-layout img'),
+        (element) => element.href || element.currentSrc || element.src
+      ).filter(
+        (url) => url && new URL(url, window.location.href).origin === window.location.origin
+      );
+
+      try {
+        await cache.addAll([...new Set(resources)]);
+        await cache.add(pageUrl);
+        setSaved(true);
+      } catch (err) {
+        console.warn('Falha ao salvar o post para leitura offline:', err);
+      }
+    });
+  };
+
+  const initScrollSpy = () => {
+    const toc = document.querySelector('[data-toc]');
+    if (!toc || !('IntersectionObserver' in window)) {
+      return;
+    }
+
+    const links = new Map(
+      Array.from(toc.querySelectorAll('a[href^="#"]')).map((link) => [
+        decodeURIComponent(link.hash.slice(1)),
+        link
+      ])
+    );
+    const headings = Array.from(document.querySelectorAll('.post-content [id]')).filter((heading) =>
+      links.has(heading.id)
+    );
+    const visible = new Set();
+
+    const setActive = (id) => {
+      links.forEach((link, key) => {
+        const active = key === id;
+        link.classList.toggle('is-active', active);
+        if (active) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    };
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            visible.add(entry.target);
+          } else {
+            visible.delete(entry.target);
+          }
+        });
+
+        const current =
+          headings.find((heading) => visible.has(heading)) ||
+          headings.filter((heading) => heading.getBoundingClientRect().top < 0).pop();
+
+        if (current) {
+          setActive(current.id);
+        }
+      },
+      { rootMargin: '0px 0px -70% 0px' }
+    );
+
+    headings.forEach((heading) => observer.observe(heading));
+  };
+
+  initThemeToggle();
+  initServiceWorker();
+  initConsent();
+  initCodeCopy();
+  // caches.open() pode falhar (ex.: navegação privada): sem cache, o botão continua escondido.
+  initSavePost().catch((err) => {
+    console.warn('Lista de leitura indisponível:', err);
+    document.querySelectorAll('[data-save-post]').forEach((button) => {
+      button.hidden = true;
     });
-  }
+  });
+  initScrollSpy();
 })();
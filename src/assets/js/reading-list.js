@@ -0,0 +1,101 @@
+(function () {
+  const root = document.querySelector('[data-reading-list]');
+  if (!root) {
+    return;
+  }
+
+  // Mesmo cache usado pelo main.js (botão "Salvar para ler depois") e pelo sw.js.
+  const READING_LIST_CACHE = 'lista-de-leitura';
+  const { postsPath, emptyMessage, unsupportedMessage, removeLabel } = root.dataset;
+  const status = document.querySelector('[data-offline-message]');
+  const lang = document.documentElement.lang || 'pt-BR';
+
+  const esc = (value) =>
+    String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+
+  const showMessage = (message) => {
+    root.innerHTML = `<p class="empty-state">${esc(message)}</p>`;
+  };
+
+  if (!('caches' in window)) {
+    showMessage(unsupportedMessage);
+    return;
+  }
+
+  if (status && navigator.onLine === false) {
+    status.textContent = status.dataset.offlineMessage;
+    status.hidden = false;
+  }
+
+  // Os dados do card vêm do próprio HTML guardado, então a lista funciona sem rede.
+  const toEntry = async (cache, request) => {
+    const response = await cache.match(request);
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const text = (selector) => doc.querySelector(selector)?.textContent.trim() || '';
+    const published = doc.querySelector('meta[property="article:published_time"]')?.content;
+
+    return {
+      url: new URL(request.url).pathname,
+      title: text('.post-header h1') || doc.title,
+      category: text('.post-header .kicker'),
+      summary: text('.post-summary'),
+      date: published
+        ? new Intl.DateTimeFormat(lang, { day: '2-digit', month: 'long', year: 'numeric' }).format(
+            new Date(published)
+          )
+        : ''
+    };
+  };
+
+  const render = async () => {
+    const cache = await caches.open(READING_LIST_CACHE);
+    const requests = (await cache.keys()).filter((request) =>
+      new URL(request.url).pathname.startsWith(postsPath)
+    );
+    const entries = await Promise.all(requests.map((request) => toEntry(cache, request)));
+
+    if (entries.length === 0) {
+      showMessage(emptyMessage);
+      return;
+    }
+
+    // Os salvos mais recentemente primeiro.
+    root.innerHTML = entries
+      .reverse()
+      .map(
+        (entry) => `
+      <article class="article-card">
+        <div class="card-body">
+          <p class="card-meta">${esc([entry.category, entry.date].filter(Boolean).join(' · '))}</p>
+          <h2 class="card-title"><a href="${esc(entry.url)}">${esc(entry.title)}</a></h2>
+          <p class="card-summary">${esc(entry.summary)}</p>
+          <button type="button" class="link-button" data-remove="${esc(entry.url)}">${esc(
+            removeLabel
+          )}</button>
+        </div>
+      </article>`
+      )
+      .join('');
+  };
+
+  root.addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-remove]');
+    if (!button) {
+      return;
+    }
+
+    const cache = await caches.open(READING_LIST_CACHE);
+    await cache.delete(button.dataset.remove);
+    await render();
+  });
+
+  render().catch((err) => {
+    console.warn('Falha ao carregar a lista de leitura:', err);
+    showMessage(unsupportedMessage);
+  });
+})();
@@ -1,34 +1,28 @@
 (function () {
-  const root = document.querySelector('[data-search-page="blog"]');
-  if (!root) {
-    return;
-  }
-
-  if (typeof window.Fuse === 'undefined') {
-    console.error('Fuse.js não foi carregado.');
-    return;
-  }
-
-  const input = document.getElementById('search-input');
-  const categoryFilter = document.getElementById('category-filter');
-  const tagFilter = document.getElementById('tag-filter');
-  const countEl = document.getElementById('search-count');
-  const resultsEl = document.getElementById('blog-results');
-  const emptyMessage = resultsEl?.dataset?.emptyMessage || 'Nenhum resultado.';
   const basePath = window.__SITE_BASE_PATH__ || '';
-  const buildVersion = window.__BUILD_VERSION__ || '';
+  const manifest = window.__ASSET_MANIFEST__ || {};
+
+  const FUSE_OPTIONS = {
+    threshold: 0.35,
+    includeScore: true,
+    keys: [
+      { name: 'title', weight: 0.45 },
+      { name: 'summary', weight: 0.25 },
+      { name: 'tags', weight: 0.2 },
+      { name: 'category', weight: 0.1 },
+      { name: 'series', weight: 0.1 }
+    ]
+  };
+
+  // Nomes dos parâmetros da URL da busca (?q=&categoria=&tag=).
+  const URL_PARAMS = { term: 'q', category: 'categoria', tag: 'tag' };
 
   const safePath = (path) => {
     if (!basePath) return path;
     return `${basePath}${path}`;
   };
 
-  const withVersion = (path) => {
-    const url = safePath(path);
-    if (!buildVersion) return url;
-    const separator = url.includes('?') ? '&' : '?';
-    return `${url}${separator}v=${encodeURIComponent(buildVersion)}`;
-  };
+  const assetUrl = (path) => safePath(manifest[path] || path);
 
   const esc = (value) =>
     String(value ?? '')
@@ -38,105 +32,466 @@
       .replace(/"/g, '&quot;')
       .replace(/'/g, '&#39;');
 
-  const toCardHtml = (post) => {
-    const tags = (post.tags || [])
-      .map((tag) => {
-        const slug = (post.tagSlugs || {})[tag] || '';
-        return `<a class="tag-link" href="${withVersion(`/tags/${slug}.html`)}">#${esc(tag)}</a>`;
-      })
-      .join('');
-
-    return `
-      <article class="article-card">
-        <img class="card-cover" src="${esc(post.coverImage || '')}" alt="Capa de ${esc(
-          post.title
-        )}" loading="lazy">
-        <div class="card-body">
-          <p class="card-meta">${esc(post.category)} · ${esc(post.date || '')}</p>
-          <h2 class="card-title"><a href="${esc(post.url)}">${esc(post.title)}</a></h2>
-          <p class="card-summary">${esc(post.summary || '')}</p>
-          <div class="tags-row">${tags}</div>
-        </div>
-      </article>
-    `;
-  };
-
   const fetchJson = async (path) => {
-    const response = await fetch(withVersion(path));
+    const response = await fetch(assetUrl(path));
     if (!response.ok) {
       throw new Error(`Erro ao buscar ${path}`);
     }
     return response.json();
   };
 
-  const render = (posts) => {
-    if (!resultsEl) return;
+  // A página do blog já traz o Fuse.js; nas demais ele só é baixado quando a paleta abre.
+  let fuseRequest = null;
+  const loadFuse = (src, integrity) => {
+    if (window.Fuse) return Promise.resolve(window.Fuse);
 
-    if (!posts.length) {
-      resultsEl.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
-      countEl.textContent = '0 artigo(s)';
-      return;
+    fuseRequest =
+      fuseRequest ||
+      new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        if (integrity) script.integrity = integrity;
+        script.onload = () => resolve(window.Fuse);
+        script.onerror = () => {
+          fuseRequest = null;
+          reject(new Error('Fuse.js não foi carregado.'));
+        };
+        document.head.appendChild(script);
+      });
+
+    return fuseRequest;
+  };
+
+  const fold = (text) => {
+    let value = '';
+    const positions = [];
+
+    for (let i = 0; i < text.length; i += 1) {
+      const folded = text[i]
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+
+      for (const char of folded) {
+        value += char;
+        positions.push(i);
+      }
     }
 
-    resultsEl.innerHTML = posts.map(toCardHtml).join('');
-    countEl.textContent = `${posts.length} artigo(s)`;
+    positions.push(text.length);
+    return { value, positions };
   };
 
-  Promise.all([fetchJson('/search-index.json'), fetchJson('/tags.json')])
-    .then(([index, tagMap]) => {
-      const fuse = new window.Fuse(index, {
-        threshold: 0.35,
-        includeScore: true,
-        keys: [
-          { name: 'title', weight: 0.45 },
-          { name: 'summary', weight: 0.25 },
-          { name: 'tags', weight: 0.2 },
-          { name: 'category', weight: 0.1 }
-        ]
+  const highlight = (text, needle) => {
+    const { value, positions } = fold(text);
+    let html = '';
+    let cursor = 0;
+    let index = value.indexOf(needle);
+
+    while (index !== -1) {
+      const start = positions[index];
+      const end = positions[index + needle.length];
+      html += `${esc(text.slice(cursor, start))}<mark>${esc(text.slice(start, end))}</mark>`;
+      cursor = end;
+      index = value.indexOf(needle, index + needle.length);
+    }
+
+    return html + esc(text.slice(cursor));
+  };
+
+  const findSnippets = (entry, term) => {
+    const needle = fold(term).value;
+    if (!entry || needle.length < 2) return [];
+
+    const snippets = [];
+
+    for (const section of entry.sections) {
+      section.folded = section.folded || fold(section.text);
+      const index = section.folded.value.indexOf(needle);
+
+      if (index === -1) continue;
+
+      const start = section.folded.positions[index];
+      const from = Math.max(0, start - 60);
+      const to = Math.min(section.text.length, start + needle.length + 100);
+
+      snippets.push({
+        url: section.id ? `${entry.url}#${section.id}` : entry.url,
+        heading: section.heading,
+        html: `${from > 0 ? '…' : ''}${highlight(section.text.slice(from, to), needle)}${
+          to < section.text.length ? '…' : ''
+        }`
       });
 
-      const applyFilters = () => {
-        const term = (input.value || '').trim();
-        const category = categoryFilter.value;
-        const tag = tagFilter.value;
+      if (snippets.length === 2) break;
+    }
+
+    return snippets;
+  };
 
-        let scoped = index;
+  const initBlogSearch = () => {
+    const root = document.querySelector('[data-search-page="blog"]');
+    if (!root) {
+      return;
+    }
 
-        if (category) {
-          scoped = scoped.filter((post) => post.category === category);
-        }
+    if (typeof window.Fuse === 'undefined') {
+      console.error('Fuse.js não foi carregado.');
+      return;
+    }
+
+    const input = document.getElementById('search-input');
+    const categoryFilter = document.getElementById('category-filter');
+    const tagFilter = document.getElementById('tag-filter');
+    const countEl = document.getElementById('search-count');
+    const resultsEl = document.getElementById('blog-results');
+    const paginationEl = document.querySelector('[data-pagination]');
+    const initialResults = resultsEl?.innerHTML || '';
+    const initialCount = countEl?.textContent || '';
+    const emptyMessage = resultsEl?.dataset?.emptyMessage || 'Nenhum resultado.';
+    const indexPath = root.dataset.index || '/search-index.json';
+    const bodyIndexPath = root.dataset.bodyIndex || '';
+    const countLabel = root.dataset.countLabel || '{count} artigo(s)';
+    const unavailableMessage = root.dataset.unavailable || 'Busca indisponível.';
+
+    let bodyIndexRequest = null;
+    const loadBodyIndex = () => {
+      if (!bodyIndexPath) return Promise.resolve([]);
+
+      bodyIndexRequest =
+        bodyIndexRequest ||
+        fetchJson(bodyIndexPath).catch((error) => {
+          console.warn('Índice de texto completo indisponível:', error);
+          return [];
+        });
+
+      return bodyIndexRequest;
+    };
+
+    const toResultHtml = ({ post, snippets }) => {
+      if (!snippets.length) return post.cardHtml || '';
+
+      const items = snippets
+        .map(
+          (snippet) =>
+            `<p class="search-snippet"><a href="${esc(snippet.url)}">${esc(
+              snippet.heading || post.title
+            )}</a> ${snippet.html}</p>`
+        )
+        .join('');
+
+      return `<div class="search-result">${post.cardHtml || ''}<div class="search-snippets">${items}</div></div>`;
+    };
+
+    const formatCount = (count) => countLabel.replace('{count}', count);
+
+    const render = (results) => {
+      if (!resultsEl) return;
+
+      if (!results.length) {
+        resultsEl.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
+        countEl.textContent = formatCount(0);
+        return;
+      }
+
+      resultsEl.innerHTML = results.map(toResultHtml).join('');
+      countEl.textContent = formatCount(results.length);
+    };
+
+    const readUrlState = () => {
+      const params = new URLSearchParams(window.location.search);
+      return {
+        term: params.get(URL_PARAMS.term) || '',
+        category: params.get(URL_PARAMS.category) || '',
+        tag: params.get(URL_PARAMS.tag) || ''
+      };
+    };
+
+    const readControls = () => ({
+      term: (input.value || '').trim(),
+      category: categoryFilter.value,
+      tag: tagFilter.value
+    });
+
+    // Valores que não existem no <select> (link antigo, tag removida) voltam para "Todas".
+    const selectValue = (select, value) => {
+      select.value = Array.from(select.options).some((option) => option.value === value)
+        ? value
+        : '';
+    };
+
+    const writeControls = ({ term, category, tag }) => {
+      input.value = term;
+      selectValue(categoryFilter, category);
+      selectValue(tagFilter, tag);
+    };
+
+    // Cada tecla não vira uma entrada no histórico: a digitação seguida atualiza a mesma
+    // entrada, e só uma nova ação (ou um filtro) cria outra para o botão voltar.
+    let typing = false;
+    const syncUrl = (source) => {
+      const params = new URLSearchParams();
+
+      for (const [key, value] of Object.entries(readControls())) {
+        if (value) params.set(URL_PARAMS[key], value);
+      }
 
-        if (tag) {
-          scoped = scoped.filter((post) => (post.tags || []).includes(tag));
+      const query = params.toString();
+      const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+      if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        if (source === 'input' && typing) {
+          window.history.replaceState(null, '', url);
+        } else {
+          window.history.pushState(null, '', url);
         }
+      }
+
+      typing = source === 'input';
+    };
+
+    fetchJson(indexPath)
+      .then((index) => {
+        const fuse = new window.Fuse(index, FUSE_OPTIONS);
+
+        let latestRequest = 0;
+
+        const applyFilters = async () => {
+          const request = ++latestRequest;
+          const { term, category, tag } = readControls();
+
+          if (!term && !category && !tag) {
+            resultsEl.innerHTML = initialResults;
+            countEl.textContent = initialCount;
+            if (paginationEl) paginationEl.hidden = false;
+            return;
+          }
 
-        if (term) {
+          if (paginationEl) paginationEl.hidden = true;
+
+          let scoped = index;
+
+          if (category) {
+            scoped = scoped.filter((post) => post.category === category);
+          }
+
+          if (tag) {
+            scoped = scoped.filter((post) => (post.tags || []).includes(tag));
+          }
+
+          if (!term) {
+            render(scoped.map((post) => ({ post, snippets: [] })));
+            return;
+          }
+
+          const bodyIndex = await loadBodyIndex();
+          if (request !== latestRequest) return;
+
+          const bodyByUrl = new Map(bodyIndex.map((entry) => [entry.url, entry]));
           const scopedUrls = new Set(scoped.map((post) => post.url));
-          scoped = fuse
+          const metadataHits = fuse
             .search(term)
             .map((item) => item.item)
             .filter((post) => scopedUrls.has(post.url));
-        }
+          const metadataUrls = new Set(metadataHits.map((post) => post.url));
 
-        render(scoped);
-      };
+          const results = metadataHits.map((post) => ({
+            post,
+            snippets: findSnippets(bodyByUrl.get(post.url), term)
+          }));
+
+          scoped
+            .filter((post) => !metadataUrls.has(post.url))
+            .forEach((post) => {
+              const snippets = findSnippets(bodyByUrl.get(post.url), term);
+              if (snippets.length) {
+                results.push({ post, snippets });
+              }
+            });
 
-      const tagsFromMap = Object.keys(tagMap).sort((a, b) => a.localeCompare(b, 'pt-BR'));
-      if (tagFilter.options.length <= 1) {
-        tagFilter.insertAdjacentHTML(
-          'beforeend',
-          tagsFromMap.map((tag) => `<option value="${esc(tag)}">${esc(tag)}</option>`).join('')
+          render(results);
+        };
+
+        input.addEventListener('input', () => {
+          applyFilters();
+          syncUrl('input');
+        });
+        [categoryFilter, tagFilter].forEach((select) =>
+          select.addEventListener('change', () => {
+            applyFilters();
+            syncUrl('change');
+          })
         );
+        window.addEventListener('popstate', () => {
+          typing = false;
+          writeControls(readUrlState());
+          applyFilters();
+        });
+
+        writeControls(readUrlState());
+        applyFilters();
+      })
+      .catch((error) => {
+        console.error(error);
+        countEl.textContent = unavailableMessage;
+      });
+  };
+
+  // Paleta de busca do site todo ("/" ou Ctrl+K): o índice só é carregado na primeira
+  // abertura, e as setas escolhem o post que o Enter abre.
+  const initPalette = () => {
+    const palette = document.querySelector('[data-search-palette]');
+    if (!palette) {
+      return;
+    }
+
+    const input = palette.querySelector('[data-palette-input]');
+    const list = palette.querySelector('[data-palette-results]');
+    const status = palette.querySelector('[data-palette-status]');
+    const openButtons = Array.from(document.querySelectorAll('[data-palette-open]'));
+    const maxResults = 8;
+    let searchRequest = null;
+    let results = [];
+    let active = -1;
+    let returnFocus = null;
+
+    const loadSearch = () => {
+      searchRequest =
+        searchRequest ||
+        Promise.all([
+          loadFuse(palette.dataset.fuse, palette.dataset.fuseIntegrity),
+          fetchJson(palette.dataset.index)
+        ])
+          .then(([Fuse, index]) => new Fuse(index, FUSE_OPTIONS))
+          .catch((error) => {
+            searchRequest = null;
+            throw error;
+          });
+
+      return searchRequest;
+    };
+
+    const setStatus = (message) => {
+      status.textContent = message || '';
+    };
+
+    const renderResults = () => {
+      list.innerHTML = results
+        .map(
+          (post, index) =>
+            `<li id="search-palette-option-${index}" class="search-palette-option" role="option" aria-selected="${
+              index === active
+            }"><a href="${esc(post.url)}" tabindex="-1"><span class="search-palette-title">${esc(
+              post.title
+            )}</span><span class="search-palette-meta">${esc(post.category)}</span></a></li>`
+        )
+        .join('');
+
+      if (active >= 0) {
+        input.setAttribute('aria-activedescendant', `search-palette-option-${active}`);
+        list.children[active].scrollIntoView?.({ block: 'nearest' });
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    };
+
+    const search = async () => {
+      const term = input.value.trim();
+
+      try {
+        const fuse = await loadSearch();
+        if (term !== input.value.trim()) return;
+
+        results = term ? fuse.search(term, { limit: maxResults }).map((item) => item.item) : [];
+        active = results.length ? 0 : -1;
+        renderResults();
+        setStatus(term && !results.length ? palette.dataset.empty : palette.dataset.hint);
+      } catch (error) {
+        console.error(error);
+        setStatus(palette.dataset.unavailable);
       }
+    };
+
+    const open = () => {
+      if (!palette.hidden) return;
+
+      returnFocus = document.activeElement;
+      palette.hidden = false;
+      input.value = '';
+      results = [];
+      active = -1;
+      renderResults();
+      setStatus(palette.dataset.hint);
+      input.focus();
+      loadSearch().catch((error) => {
+        console.error(error);
+        setStatus(palette.dataset.unavailable);
+      });
+    };
+
+    const close = () => {
+      if (palette.hidden) return;
+
+      palette.hidden = true;
+      returnFocus?.focus?.();
+    };
+
+    const move = (step) => {
+      if (!results.length) return;
+
+      active = (active + step + results.length) % results.length;
+      renderResults();
+    };
 
-      input.addEventListener('input', applyFilters);
-      categoryFilter.addEventListener('change', applyFilters);
-      tagFilter.addEventListener('change', applyFilters);
+    const isEditable = (element) =>
+      Boolean(element) &&
+      (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
 
-      applyFilters();
-    })
-    .catch((error) => {
-      console.error(error);
-      countEl.textContent = 'Busca indisponível.';
+    document.addEventListener('keydown', (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (palette.hidden) {
+          open();
+        } else {
+          close();
+        }
+        return;
+      }
+
+      if (event.key === '/' && palette.hidden && !isEditable(event.target)) {
+        event.preventDefault();
+        open();
+      }
+    });
+
+    input.addEventListener('input', search);
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        move(1);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        move(-1);
+      } else if (event.key === 'Enter' && results[active]) {
+        event.preventDefault();
+        window.location.assign(results[active].url);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
     });
+
+    // Clique fora do painel fecha a paleta.
+    palette.addEventListener('click', (event) => {
+      if (event.target === palette) close();
+    });
+
+    openButtons.forEach((button) => {
+      button.hidden = false;
+      button.addEventListener('click', open);
+    });
+  };
+
+  initBlogSearch();
+  initPalette();
 })();
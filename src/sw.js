@@ -0,0 +1,94 @@
+// Service worker do site. O build grava este arquivo em /sw.js com `self.__SW_CONFIG__`
+// (versão, app shell e caminhos por idioma) definido na primeira linha.
+const { version, precache, postPrefixes, offlinePages } = self.__SW_CONFIG__;
+const SHELL_CACHE = `app-shell-${version}`;
+const PAGES_CACHE = `paginas-${version}`;
+// Posts salvos pelo botão "Salvar para ler depois" (main.js); sobrevivem às novas versões.
+const READING_LIST_CACHE = 'lista-de-leitura';
+const precached = new Set(precache);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(precache))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, PAGES_CACHE, READING_LIST_CACHE];
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const offlineFallback = async (request) => {
+  const page =
+    request.mode === 'navigate' &&
+    offlinePages.find(({ prefix }) => new URL(request.url).pathname.startsWith(prefix));
+
+  return (page && (await caches.match(page.url))) || Response.error();
+};
+
+const cacheFirst = async (request) => (await caches.match(request)) || fetch(request);
+
+const networkFirst = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(request, { ignoreSearch: true })) || offlineFallback(request);
+  }
+};
+
+// Posts: responde com a cópia guardada (a da última visita ou a da lista de leitura) e
+// atualiza o cache pela rede em segundo plano.
+const cacheThenNetwork = async (event) => {
+  const { request } = event;
+  const pages = await caches.open(PAGES_CACHE);
+  const cached =
+    (await pages.match(request, { ignoreSearch: true })) ||
+    (await caches.match(request, { ignoreSearch: true }));
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      await pages.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network.catch(() => offlineFallback(request));
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (precached.has(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (
+    request.mode === 'navigate' &&
+    postPrefixes.some((prefix) => url.pathname.startsWith(prefix))
+  ) {
+    event.respondWith(cacheThenNetwork(event));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
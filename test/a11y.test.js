@@ -0,0 +1,97 @@
+const { auditAccessibility, auditFocusStyles } = require('../scripts/lib/a11y');
+
+const page = (content, { lang = 'pt-BR', skipLink = true } = {}) => `<!DOCTYPE html>
+<html${lang ? ` lang="${lang}"` : ''}>
+<head><title>Teste</title><script>const a = '<a href="x">';</script></head>
+<body>
+  ${skipLink ? '<a class="skip-link" href="#conteudo">Pular para o conteúdo</a>' : ''}
+  <header><a href="/index.html">Início</a></header>
+  <main id="conteudo" tabindex="-1">${content}</main>
+</body>
+</html>`;
+
+describe('auditAccessibility', () => {
+  test('aceita uma página sem problemas', () => {
+    const html = page(`
+      <h1>Blog</h1>
+      <h2>Artigos</h2>
+      <article>
+        <img src="/capa.jpg" alt="">
+        <h3><a href="/posts/java.html">Módulos Java</a></h3>
+      </article>
+      <label>Buscar <input type="search"></label>
+      <button type="button" aria-label="Tema escuro"></button>`);
+
+    expect(auditAccessibility(html)).toEqual([]);
+  });
+
+  test('exige lang, link para pular ao conteúdo e um único h1', () => {
+    const problems = auditAccessibility(
+      page('<h1>Um</h1><h1>Dois</h1>', { lang: '', skipLink: false })
+    );
+
+    expect(problems).toEqual([
+      'o <html> não declara o idioma (lang).',
+      'o primeiro elemento focável deve ser um link que pula para o <main>.',
+      'a página deve ter um único <h1> (tem 2).'
+    ]);
+  });
+
+  test('aponta títulos que pulam nível', () => {
+    expect(auditAccessibility(page('<h1>Post</h1><h3>Instalação</h3><h2>Uso</h2>'))).toEqual([
+      '<h3> "Instalação" pula nível de título (anterior: <h1>).'
+    ]);
+  });
+
+  test('cobra alt e recusa alt que repete o título ao lado', () => {
+    const problems = auditAccessibility(
+      page(`
+        <h1>Blog</h1>
+        <article><img src="/a.jpg" alt="Capa de Módulos Java"><h2>Módulos Java</h2></article>
+        <article><img src="/b.jpg"><h2>Angular</h2></article>
+        <article><h2>Arquitetura</h2><p><img src="/c.png" alt="Diagrama das camadas de arquitetura do projeto"></p></article>`)
+    );
+
+    expect(problems).toEqual([
+      '<img src="/a.jpg"> tem alt "Capa de Módulos Java", que repete o título ao lado; use alt="".',
+      '<img src="/b.jpg"> sem alt (imagem decorativa usa alt="").'
+    ]);
+  });
+
+  test('cobra rótulo de campos e nome de links e botões', () => {
+    const problems = auditAccessibility(
+      page(`
+        <h1>Blog</h1>
+        <select id="tag-filter"><option>Todas</option></select>
+        <label for="busca">Buscar</label><input id="busca">
+        <a href="/feed.xml"><img src="/rss.svg" alt="RSS"></a>
+        <a href="/posts/java.html"></a>
+        <button type="button" class="theme-toggle"></button>`)
+    );
+
+    expect(problems).toEqual([
+      '<select id="tag-filter"> sem rótulo (<label>, aria-label ou aria-labelledby).',
+      '<a href="/posts/java.html"> sem nome acessível.',
+      '<button class="theme-toggle"> sem nome acessível.'
+    ]);
+  });
+
+  test('aponta ids repetidos', () => {
+    expect(auditAccessibility(page('<h1 id="conteudo">Blog</h1>'))).toEqual([
+      'o id "conteudo" aparece mais de uma vez.'
+    ]);
+  });
+});
+
+describe('auditFocusStyles', () => {
+  test('recusa CSS que esconde o foco, salvo fora do :focus-visible', () => {
+    const css =
+      'a:focus{outline:none}main:focus:not(:focus-visible){outline:none}' +
+      '@media (max-width:700px){.btn:focus{color:red;outline:0}}';
+
+    expect(auditFocusStyles(css)).toEqual([
+      '"a:focus" remove o contorno de foco.',
+      '".btn:focus" remove o contorno de foco.'
+    ]);
+  });
+});
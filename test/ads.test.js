@@ -0,0 +1,97 @@
+/**
+ * @jest-environment jsdom
+ */
+const ADS_SCRIPT = 'script[src*="adsbygoogle.js"]';
+const ANALYTICS_SCRIPT = 'script[src*="googletagmanager.com/gtag/js"]';
+
+function loadPage({ consent, client = 'ca-pub-123', analyticsId } = {}) {
+  document.head.innerHTML = '';
+  document.body.innerHTML = `
+    <aside class="ads-slot" data-ad hidden><ins class="adsbygoogle"></ins></aside>
+    <button type="button" data-consent-open>Preferências de cookies</button>
+    <div data-consent-banner hidden>
+      <button type="button" data-consent="granted">Aceitar anúncios</button>
+      <button type="button" data-consent="denied">Recusar</button>
+    </div>`;
+
+  localStorage.clear();
+  if (consent) {
+    localStorage.setItem('consentimento-cookies', consent);
+  }
+
+  window.__ADS_CLIENT__ = client;
+  window.__ANALYTICS_ID__ = analyticsId;
+  delete window.adsbygoogle;
+  delete window.dataLayer;
+  delete window.IntersectionObserver;
+  jest.isolateModules(() => require('../src/assets/js/main.js'));
+}
+
+const $ = (selector) => document.querySelector(selector);
+
+describe('anúncios com consentimento', () => {
+  test('sem decisão mostra o aviso e não carrega o AdSense', () => {
+    loadPage();
+
+    expect($('[data-consent-banner]').hidden).toBe(false);
+    expect($('[data-ad]').hidden).toBe(true);
+    expect($(ADS_SCRIPT)).toBeNull();
+  });
+
+  test('aceitar grava a escolha e preenche os slots', () => {
+    loadPage();
+    $('[data-consent="granted"]').click();
+
+    expect(localStorage.getItem('consentimento-cookies')).toBe('granted');
+    expect($('[data-consent-banner]').hidden).toBe(true);
+    expect($('[data-ad]').hidden).toBe(false);
+    expect($(ADS_SCRIPT).src).toContain('client=ca-pub-123');
+    expect(window.adsbygoogle).toHaveLength(1);
+  });
+
+  test('recusa salva não mostra aviso nem anúncios', () => {
+    loadPage({ consent: 'denied' });
+
+    expect($('[data-consent-banner]').hidden).toBe(true);
+    expect($('[data-ad]').hidden).toBe(true);
+    expect($(ADS_SCRIPT)).toBeNull();
+  });
+
+  test('as preferências reabrem o aviso', () => {
+    loadPage({ consent: 'denied' });
+    $('[data-consent-open]').click();
+
+    expect($('[data-consent-banner]').hidden).toBe(false);
+  });
+});
+
+describe('analytics com consentimento', () => {
+  test('só injeta o gtag depois do aceite', () => {
+    loadPage({ client: null, analyticsId: 'G-TESTE' });
+
+    expect($('[data-consent-banner]').hidden).toBe(false);
+    expect($(ANALYTICS_SCRIPT)).toBeNull();
+    expect(window.dataLayer).toBeUndefined();
+
+    $('[data-consent="granted"]').click();
+
+    expect($(ANALYTICS_SCRIPT).src).toContain('id=G-TESTE');
+    expect(window.dataLayer.map((args) => Array.from(args))).toContainEqual(['config', 'G-TESTE']);
+    expect($('[data-ad]').hidden).toBe(true);
+  });
+
+  test('aceite salvo carrega anúncios e analytics juntos', () => {
+    loadPage({ consent: 'granted', analyticsId: 'G-TESTE' });
+
+    expect($('[data-consent-banner]').hidden).toBe(true);
+    expect($(ADS_SCRIPT)).not.toBeNull();
+    expect($(ANALYTICS_SCRIPT)).not.toBeNull();
+  });
+
+  test('recusa salva não carrega o analytics', () => {
+    loadPage({ consent: 'denied', analyticsId: 'G-TESTE' });
+
+    expect($(ANALYTICS_SCRIPT)).toBeNull();
+    expect(window.dataLayer).toBeUndefined();
+  });
+});
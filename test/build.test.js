@@ -0,0 +1,144 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { build } = require('../scripts/lib');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'site');
+const TEMPLATES_DIR = path.join(__dirname, '..', 'src', 'templates');
+const I18N_DIR = path.join(__dirname, '..', 'src', 'i18n');
+const SERVICE_WORKER = path.join(__dirname, '..', 'src', 'sw.js');
+const CONFIG_FILE = path.join(__dirname, 'fixtures', 'site.config.json');
+const SITE = { origin: 'https://exemplo.github.io', basePath: '/blog-teste' };
+
+// Hashes de assets e integridade mudam com dependências; o snapshot cobre a estrutura.
+function normalize(output) {
+  return output
+    .replace(/\.[0-9a-f]{10}\.(\w+)/g, '.[hash].$1')
+    .replace(/sha384-[\w+/=]+/g, 'sha384-[hash]')
+    .replace(/></g, '>\n<');
+}
+
+describe('build() com o site de fixture', () => {
+  let workDir;
+  let outDir;
+
+  const read = async (file) => normalize(await fs.readFile(path.join(outDir, file), 'utf8'));
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: new Date('2026-03-01T12:00:00Z'),
+      doNotFake: [
+        'hrtime',
+        'nextTick',
+        'performance',
+        'queueMicrotask',
+        'setImmediate',
+        'clearImmediate',
+        'setInterval',
+        'clearInterval',
+        'setTimeout',
+        'clearTimeout'
+      ]
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-build-'));
+    outDir = path.join(workDir, 'out');
+    await fs.cp(FIXTURE_DIR, path.join(workDir, 'src'), { recursive: true });
+    await fs.cp(TEMPLATES_DIR, path.join(workDir, 'src', 'templates'), { recursive: true });
+    await fs.cp(I18N_DIR, path.join(workDir, 'src', 'i18n'), { recursive: true });
+    await fs.cp(SERVICE_WORKER, path.join(workDir, 'src', 'sw.js'));
+
+    await build({
+      srcDir: path.join(workDir, 'src'),
+      outDir,
+      site: SITE,
+      configFile: CONFIG_FILE
+    });
+  }, 120000);
+
+  afterAll(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test.each([
+    'index.html',
+    'blog.html',
+    'posts/modulos-java.html',
+    'posts/componentes-angular.html',
+    'tags/java.html',
+    'series/fundamentos-de-java.html',
+    'sitemap.xml',
+    'rss.xml',
+    'en/posts/java-modules.html',
+    'en/sitemap.xml'
+  ])('%s', async (file) => {
+    expect(await read(file)).toMatchSnapshot();
+  });
+
+  test('todas as URLs internas respeitam o basePath', async () => {
+    const html = await fs.readFile(path.join(outDir, 'posts', 'camadas-java.html'), 'utf8');
+    const rootRelative = [...html.matchAll(/(?:href|src)="(\/[^"]*)"/g)].map(([, url]) => url);
+
+    expect(rootRelative.length).toBeGreaterThan(0);
+    expect(rootRelative.filter((url) => !url.startsWith(`${SITE.basePath}/`))).toEqual([]);
+    expect(html).toContain('href="/blog-teste/posts/modulos-java.html#pacotes"');
+  });
+
+  test('gera manifest por idioma e service worker com o app shell versionado', async () => {
+    const manifest = JSON.parse(
+      await fs.readFile(path.join(outDir, 'en', 'manifest.webmanifest'), 'utf8')
+    );
+    const serviceWorker = await fs.readFile(path.join(outDir, 'sw.js'), 'utf8');
+    const config = JSON.parse(serviceWorker.match(/^self\.__SW_CONFIG__ = (.*);$/m)[1]);
+
+    expect(manifest).toEqual(
+      expect.objectContaining({
+        lang: 'en',
+        start_url: '/blog-teste/en/index.html',
+        scope: '/blog-teste/'
+      })
+    );
+    expect(manifest.icons.map((icon) => icon.sizes)).toEqual(['192x192', '512x512']);
+    expect(config.version).toMatch(/^[0-9a-f]{10}$/);
+    expect(config.precache.map(normalize)).toEqual(
+      expect.arrayContaining([
+        '/blog-teste/assets/css/styles.[hash].css',
+        '/blog-teste/assets/js/main.[hash].js',
+        '/blog-teste/assets/js/search.[hash].js',
+        '/blog-teste/assets/data/search-index.[hash].json',
+        '/blog-teste/en/reading-list.html'
+      ])
+    );
+    expect(config.postPrefixes).toEqual(['/blog-teste/en/posts/', '/blog-teste/posts/']);
+  });
+
+  test('post fora das listas só liga as tags que têm página', async () => {
+    const html = await fs.readFile(path.join(outDir, 'posts', 'bastidores.html'), 'utf8');
+
+    expect(html).toContain('<a class="tag-link" href="/blog-teste/tags/java.html">#Java</a>');
+    expect(html).toContain('<span class="tag-chip">#Bastidores</span>');
+    await expect(fs.access(path.join(outDir, 'tags', 'bastidores.html'))).rejects.toThrow();
+  });
+
+  test('a home liga os posts mais antigos às páginas do arquivo do blog', async () => {
+    const html = await fs.readFile(path.join(outDir, 'index.html'), 'utf8');
+
+    expect(html).toContain('<p>Mais 1 artigo(s) no arquivo do blog:</p>');
+    expect(html).toContain('<a class="pagination-link" href="/blog-teste/blog.html">Página 1</a>');
+    expect(html).not.toContain('historico-java.html');
+  });
+
+  test('traduções apontam uma para a outra e posts sem tradução levam à home do idioma', async () => {
+    const original = await fs.readFile(path.join(outDir, 'posts', 'modulos-java.html'), 'utf8');
+    const untranslated = await fs.readFile(path.join(outDir, 'posts', 'camadas-java.html'), 'utf8');
+    const englishUrl = `${SITE.origin}${SITE.basePath}/en/posts/java-modules.html`;
+
+    expect(original).toContain(`<link rel="alternate" hreflang="en" href="${englishUrl}">`);
+    expect(original).toContain('<html lang="pt-BR">');
+    expect(untranslated).not.toContain('hreflang="en" href="https');
+    expect(untranslated).toContain('href="/blog-teste/en/index.html" hreflang="en"');
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { check } = require('../scripts/lib');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'site');
+const TEMPLATES_DIR = path.join(__dirname, '..', 'src', 'templates');
+const I18N_DIR = path.join(__dirname, '..', 'src', 'i18n');
+const CONFIG_FILE = path.join(__dirname, 'fixtures', 'site.config.json');
+
+describe('check() com o site de fixture', () => {
+  let srcDir;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    srcDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'site-check-')), 'src');
+    await fs.cp(FIXTURE_DIR, srcDir, { recursive: true });
+    await fs.cp(TEMPLATES_DIR, path.join(srcDir, 'templates'), { recursive: true });
+    await fs.cp(I18N_DIR, path.join(srcDir, 'i18n'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(path.dirname(srcDir), { recursive: true, force: true });
+  });
+
+  const writePost = (file, frontMatter) =>
+    fs.writeFile(
+      path.join(srcDir, 'posts', file),
+      `---\n${frontMatter}\n---\n\nTexto do post.\n`,
+      'utf8'
+    );
+
+  const runCheck = () =>
+    check({ srcDir, configFile: CONFIG_FILE }).then(
+      () => '',
+      (error) => error.message
+    );
+
+  test('recusa datas que não existem no calendário, com ou sem aspas', async () => {
+    const common =
+      'title: Post\ncategory: Backend\nsummary: Resumo.\ntags: [Java]\ncoverImage: /assets/images/capa.svg';
+    await writePost('sem-aspas.md', `${common}\ndate: 2024-13-45`);
+    await writePost('com-aspas.md', `${common}\ndate: "2024-02-30"`);
+
+    const message = await runCheck();
+
+    expect(message).toContain('(2 problema(s))');
+    expect(message).toMatch(
+      /sem-aspas\.md:7: "date" deve ser uma data válida no formato AAAA-MM-DD \(recebido "2024-13-45"\)/
+    );
+    expect(message).toContain('com-aspas.md:7: "date" deve ser uma data válida');
+  });
+
+  test('aceita data com hora separada por espaço, como no YAML', async () => {
+    await writePost(
+      'com-hora.md',
+      'title: Post\ncategory: Backend\nsummary: Resumo.\ntags: [Java]\ncoverImage: /assets/images/capa.svg\ndate: 2024-01-15 10:00:00'
+    );
+
+    expect(await runCheck()).toBe('');
+  });
+
+  test('lista todos os problemas dos projetos, com a linha de cada um', async () => {
+    await fs.writeFile(
+      path.join(srcDir, 'data', 'projects.yml'),
+      [
+        '- title: Projeto A',
+        '  description: Sem stack.',
+        '  coverImage: /assets/images/nao-existe.png',
+        '  status: pausado',
+        '- title: Projeto B',
+        '  stack: Node.js',
+        '  description: Data impossível.',
+        '  date: 2024-13-45',
+        '  translations:',
+        '    en:',
+        '      summary: Unknown field.',
+        ''
+      ].join('\n'),
+      'utf8'
+    );
+
+    const message = await runCheck();
+
+    expect(message).toContain('Projetos inválidos (5 problema(s))');
+    expect(message).toContain('projects.yml:1 (projeto 1): "stack" é obrigatório.');
+    expect(message).toContain(
+      'projects.yml:3 (projeto 1): "coverImage" aponta para um arquivo que não existe em src/assets: /assets/images/nao-existe.png.'
+    );
+    expect(message).toContain('projects.yml:4 (projeto 1): "status" tem valor "pausado"');
+    expect(message).toContain(
+      'projects.yml:8 (projeto 2): "date" deve ser uma data válida no formato AAAA-MM-DD (recebido "2024-13-45").'
+    );
+    expect(message).toContain(
+      'projects.yml:9 (projeto 2): "translations.en.summary" não é um campo conhecido.'
+    );
+  });
+
+  test('aceita o site de fixture sem problemas', async () => {
+    expect(await runCheck()).toBe('');
+  });
+});
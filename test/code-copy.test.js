@@ -0,0 +1,41 @@
+/**
+ * @jest-environment jsdom
+ */
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('botão de copiar código', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="code-block" data-copy-label="Copiar" data-copied-label="Copiado!">
+        <div class="code-header"><span class="code-language">JavaScript</span></div>
+        <pre class="hljs"><code><span class="code-line is-added">+ const a = 1;</span>
+</code></pre>
+      </div>
+      <div class="code-block" data-copy-label="Copiar" data-copied-label="Copiado!">
+        <pre class="hljs"><code>npm test
+</code></pre>
+      </div>`;
+
+    Object.defineProperty(navigator, 'clipboard', {
+      configurable: true,
+      value: { writeText: jest.fn(async () => {}) }
+    });
+    jest.isolateModules(() => require('../src/assets/js/main.js'));
+  });
+
+  test('entra no cabeçalho ou, sem ele, direto no bloco', () => {
+    const [first, second] = document.querySelectorAll('.code-block');
+
+    expect(first.querySelector('.code-header .code-copy').textContent).toBe('Copiar');
+    expect(second.lastElementChild.className).toBe('code-copy');
+  });
+
+  test('copia o texto do código e confirma no botão', async () => {
+    const button = document.querySelector('.code-copy');
+    button.click();
+    await flush();
+
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('+ const a = 1;\n');
+    expect(button.textContent).toBe('Copiado!');
+  });
+});
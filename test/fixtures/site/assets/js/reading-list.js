@@ -0,0 +1 @@
+window.readingListFixture = true;
@@ -0,0 +1 @@
+window.searchFixture = true;
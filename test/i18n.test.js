@@ -0,0 +1,65 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { configure } = require('../scripts/lib/config');
+const { loadLocales, localePath, formatMessage } = require('../scripts/lib/i18n');
+
+describe('formatMessage', () => {
+  test('preenche os marcadores com os valores', () => {
+    expect(formatMessage('Página {page} de {total}', { page: 2, total: 5 })).toBe('Página 2 de 5');
+  });
+
+  test('mantém marcadores sem valor', () => {
+    expect(formatMessage('{count} artigo(s) em {tag}', { count: 0 })).toBe('0 artigo(s) em {tag}');
+  });
+});
+
+describe('localePath', () => {
+  test('prefixa o caminho com o diretório do idioma', () => {
+    expect(localePath({ prefix: '' }, '/blog.html')).toBe('/blog.html');
+    expect(localePath({ prefix: '/en' }, '/tags/java.html')).toBe('/en/tags/java.html');
+  });
+});
+
+describe('loadLocales', () => {
+  let srcDir;
+
+  beforeEach(async () => {
+    srcDir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-i18n-'));
+    await fs.mkdir(path.join(srcDir, 'i18n'));
+    configure({ srcDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(srcDir, { recursive: true, force: true });
+  });
+
+  const writeDictionary = (code, content) =>
+    fs.writeFile(path.join(srcDir, 'i18n', `${code}.yml`), content, 'utf8');
+
+  test('carrega os dicionários e marca o idioma padrão', async () => {
+    await writeDictionary('pt-BR', 'name: Português\nnav:\n  home: Início\n');
+    await writeDictionary('en', 'name: English\nnav:\n  home: Home\n');
+
+    const locales = await loadLocales();
+
+    expect(locales.map((locale) => [locale.code, locale.isDefault])).toEqual([
+      ['pt-BR', true],
+      ['en', false]
+    ]);
+    expect(locales[1].messages.nav.home).toBe('Home');
+  });
+
+  test('lista as chaves que faltam nas traduções', async () => {
+    await writeDictionary('pt-BR', 'name: Português\nnav:\n  home: Início\n  blog: Blog\n');
+    await writeDictionary('en', 'name: English\nnav:\n  home: Home\n');
+
+    await expect(loadLocales()).rejects.toThrow('en.yml: falta a chave "nav.blog".');
+  });
+
+  test('avisa quando falta o dicionário de um idioma', async () => {
+    await writeDictionary('pt-BR', 'name: Português\n');
+
+    await expect(loadLocales()).rejects.toThrow('Dicionário do idioma en não encontrado');
+  });
+});
@@ -0,0 +1,126 @@
+const { md, insertAfterParagraphs } = require('../scripts/lib/markdown');
+
+const MESSAGES = {
+  post: {
+    headingAnchor: 'Link para a seção “{title}”',
+    copyCode: 'Copiar',
+    codeCopied: 'Copiado!'
+  },
+  admonitions: { nota: 'Nota', atencao: 'Atenção', dica: 'Dica' }
+};
+
+function render(source) {
+  const env = { messages: MESSAGES, warnings: [] };
+  return { html: md.render(source, env), warnings: env.warnings };
+}
+
+describe('blocos de código', () => {
+  test('mostra título, selo da linguagem e rótulos do botão de copiar', () => {
+    const { html } = render('```js title="app.js"\nconst a = 1;\n```\n');
+
+    expect(html).toContain('data-copy-label="Copiar" data-copied-label="Copiado!"');
+    expect(html).toContain(
+      '<div class="code-header"><span class="code-title">app.js</span><span class="code-language">JavaScript</span></div>'
+    );
+    expect(html).toContain('<pre class="hljs"><code class="language-js">');
+  });
+
+  test('destaca as linhas pedidas sem quebrar spans de várias linhas', () => {
+    const { html } = render('```js {1,3-4}\nconst a = `x\ny`;\n// c\nlet d;\n```\n');
+    const lines = html.match(/<span class="code-line[^"]*">/g);
+
+    expect(lines).toEqual([
+      '<span class="code-line is-highlighted">',
+      '<span class="code-line">',
+      '<span class="code-line is-highlighted">',
+      '<span class="code-line is-highlighted">'
+    ]);
+    expect(html).toContain('<span class="hljs-string">`x</span></span>\n<span class="code-line">');
+  });
+
+  test('marca linhas adicionadas e removidas em diff', () => {
+    const { html } = render('```diff\n- antes\n+ depois\n  igual\n```\n');
+
+    expect(html).toContain('<span class="code-line is-removed">');
+    expect(html).toContain('<span class="code-line is-added">');
+  });
+
+  test('avisa sobre linguagem desconhecida e linhas fora do bloco', () => {
+    const { html, warnings } = render('Texto.\n\n```kotlinx {9}\nval a = 1\n```\n');
+
+    expect(html).toContain('<span class="code-language">kotlinx</span>');
+    expect(html).toContain('<code><span class="code-line">val a = 1</span>\n</code>');
+    expect(warnings).toEqual([
+      {
+        line: 3,
+        message: 'bloco de código com linguagem desconhecida "kotlinx" (fica sem realce).'
+      },
+      { line: 3, message: 'bloco de código destaca linhas fora do intervalo 1-1.' }
+    ]);
+  });
+});
+
+describe('quadros de destaque', () => {
+  test('aceita nota, atenção e dica, com título opcional', () => {
+    const { html } = render(':::nota\nTexto **forte**.\n:::\n\n:::atenção Cuidado\n- item\n:::\n');
+
+    expect(html).toContain(
+      '<div class="admonition admonition-nota" role="note">\n<p class="admonition-title">Nota</p>\n<p>Texto <strong>forte</strong>.</p>\n</div>'
+    );
+    expect(html).toContain('<p class="admonition-title">Cuidado</p>\n<ul>');
+  });
+
+  test('mantém tipos desconhecidos como texto e avisa', () => {
+    const { html, warnings } = render(':::perigo\nTexto.\n:::\n');
+
+    expect(html).toBe('<p>:::perigo\nTexto.\n:::</p>\n');
+    expect(warnings[0]).toEqual(expect.objectContaining({ line: 1 }));
+  });
+});
+
+describe('títulos', () => {
+  test('o link da seção fica fora do título, com nome próprio', () => {
+    const { html } = render('## Instalação\n\n## Instalação\n');
+
+    expect(html).toContain(
+      '<div class="heading-block"><h2 id="instalacao">Instalação</h2><a class="heading-anchor" href="#instalacao" aria-label="Link para a seção “Instalação”"></a></div>'
+    );
+    expect(html).toContain('<h2 id="instalacao-2">Instalação</h2>');
+  });
+
+  test('cifrões do título entram literais no nome do link', () => {
+    const { html } = render('## Custo de $` e $& no shell\n');
+
+    expect(html).toContain('aria-label="Link para a seção “Custo de $` e $&amp; no shell”"');
+  });
+});
+
+describe('insertAfterParagraphs', () => {
+  const html = [
+    '<p>um</p>',
+    '<ul>',
+    '<li><p>item</p></li>',
+    '</ul>',
+    '<blockquote>',
+    '<p>citação</p>',
+    '</blockquote>',
+    '<p>dois</p>',
+    '<p>três</p>',
+    ''
+  ].join('\n');
+
+  test('conta só os parágrafos de primeiro nível', () => {
+    const result = insertAfterParagraphs(html, [2], () => '<aside></aside>');
+
+    expect(result).toContain('<p>dois</p>\n<aside></aside>\n<p>três</p>');
+    expect(result.match(/<aside>/g)).toHaveLength(1);
+  });
+
+  test('ignora posições além do fim do texto', () => {
+    const result = insertAfterParagraphs(html, [1, 3, 10], (n) => `<aside>${n}</aside>`);
+
+    expect(result).toContain('<p>um</p>\n<aside>1</aside>\n<ul>');
+    expect(result).toMatch(/<p>três<\/p>\n<aside>3<\/aside>\n$/);
+    expect(result).not.toContain('<aside>10</aside>');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment jsdom
+ */
+const POST_HTML = `<!DOCTYPE html><html><head>
+  <meta property="article:published_time" content="2026-01-10T00:00:00.000Z">
+  </head><body><header class="post-header">
+    <p class="kicker">Backend</p>
+    <h1>Módulos Java na prática</h1>
+    <p class="post-summary">Organização de pacotes.</p>
+  </header></body></html>`;
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Cache Storage mínimo: o jsdom não implementa a API.
+function mockCaches(initial = {}) {
+  const entries = new Map(Object.entries(initial));
+  const toUrl = (request) => new URL(request.url || request, window.location.href).href;
+  const cache = {
+    keys: async () => [...entries.keys()].map((url) => ({ url })),
+    match: async (request) => {
+      const body = entries.get(toUrl(request));
+      return body === undefined ? undefined : { text: async () => body };
+    },
+    add: jest.fn(async (request) => {
+      entries.set(toUrl(request), POST_HTML);
+    }),
+    addAll: jest.fn(async () => {}),
+    delete: async (request) => entries.delete(toUrl(request))
+  };
+
+  window.caches = { open: async () => cache };
+  return { cache, entries };
+}
+
+describe('lista de leitura', () => {
+  beforeEach(() => {
+    document.documentElement.lang = 'pt-BR';
+    document.body.innerHTML = `
+      <p data-offline-message="Você está sem internet." hidden></p>
+      <div data-reading-list data-posts-path="/posts/" data-empty-message="Nenhum post salvo."
+        data-unsupported-message="Sem suporte." data-remove-label="Remover"></div>`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.caches;
+  });
+
+  const load = async () => {
+    jest.isolateModules(() => require('../src/assets/js/reading-list.js'));
+    await flush();
+    await flush();
+  };
+
+  test('monta os cards a partir do HTML guardado, só do idioma da página', async () => {
+    mockCaches({
+      'http://localhost/posts/modulos-java.html': POST_HTML,
+      'http://localhost/en/posts/java-modules.html': POST_HTML,
+      'http://localhost/assets/css/styles.abc.css': 'body {}'
+    });
+    await load();
+
+    const cards = document.querySelectorAll('[data-reading-list] article');
+    expect(cards).toHaveLength(1);
+    expect(cards[0].querySelector('a').getAttribute('href')).toBe('/posts/modulos-java.html');
+    expect(cards[0].querySelector('.card-meta').textContent).toBe(
+      'Backend · 10 de janeiro de 2026'
+    );
+  });
+
+  test('remover tira o post do cache e mostra a mensagem de lista vazia', async () => {
+    const { entries } = mockCaches({ 'http://localhost/posts/modulos-java.html': POST_HTML });
+    await load();
+
+    document.querySelector('[data-remove]').click();
+    await flush();
+    await flush();
+
+    expect(entries.size).toBe(0);
+    expect(document.querySelector('.empty-state').textContent).toBe('Nenhum post salvo.');
+  });
+
+  test('sem Cache Storage avisa que não há suporte', async () => {
+    await load();
+
+    expect(document.querySelector('.empty-state').textContent).toBe('Sem suporte.');
+  });
+});
+
+describe('botão salvar para ler depois', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.caches;
+  });
+
+  test('guarda a página e os assets e alterna o rótulo', async () => {
+    const { cache, entries } = mockCaches();
+    document.head.innerHTML = '<link rel="stylesheet" href="/assets/css/styles.abc.css">';
+    document.body.innerHTML = `
+      <article class="post-layout">
+        <button type="button" data-save-post data-save-label="Salvar para ler depois"
+          data-remove-label="Remover da lista de leitura" hidden>Salvar para ler depois</button>
+      </article>`;
+
+    jest.isolateModules(() => require('../src/assets/js/main.js'));
+    await flush();
+
+    const button = document.querySelector('[data-save-post]');
+    expect(button.hidden).toBe(false);
+
+    button.click();
+    await flush();
+
+    expect(cache.addAll).toHaveBeenCalledWith(['http://localhost/assets/css/styles.abc.css']);
+    expect(entries.has('http://localhost/')).toBe(true);
+    expect(button.textContent).toBe('Remover da lista de leitura');
+
+    button.click();
+    await flush();
+
+    expect(entries.size).toBe(0);
+    expect(button.textContent).toBe('Salvar para ler depois');
+  });
+
+  test('esconde o botão quando o cache não abre', async () => {
+    window.caches = { open: jest.fn().mockRejectedValue(new Error('SecurityError')) };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    document.body.innerHTML =
+      '<button type="button" data-save-post data-save-label="Salvar" data-remove-label="Remover" hidden></button>';
+
+    jest.isolateModules(() => require('../src/assets/js/main.js'));
+    await flush();
+
+    expect(document.querySelector('[data-save-post]').hidden).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith('Lista de leitura indisponível:', expect.any(Error));
+  });
+});
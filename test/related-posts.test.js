@@ -0,0 +1,55 @@
+const { findRelatedPosts } = require('../scripts/lib/pages');
+
+const post = (
+  slug,
+  { category = 'Backend', tags = [], date = '2026-01-01', unlisted = false } = {}
+) => ({
+  slug,
+  category,
+  tags,
+  date: new Date(date),
+  unlisted
+});
+
+describe('findRelatedPosts', () => {
+  const current = post('atual', { tags: ['Java', 'Arquitetura'] });
+
+  test('ordena por tags em comum + bônus de categoria e desempata pela data', () => {
+    const posts = [
+      current,
+      post('mesma-categoria', { tags: ['Python'], date: '2026-03-01' }),
+      post('duas-tags', { category: 'Front-end', tags: ['Java', 'Arquitetura'] }),
+      post('tag-e-categoria', { tags: ['Java'] }),
+      post('categoria-recente', { tags: [], date: '2026-04-01' }),
+      post('sem-relacao', { category: 'Front-end', tags: ['Angular'] })
+    ];
+
+    expect(findRelatedPosts(current, posts).map(({ slug }) => slug)).toEqual([
+      'tag-e-categoria',
+      'categoria-recente',
+      'mesma-categoria'
+    ]);
+  });
+
+  test('ignora o próprio post e posts não listados', () => {
+    const posts = [
+      current,
+      post('oculto', { tags: ['Java'], unlisted: true }),
+      post('visivel', { category: 'Front-end', tags: ['Java'] })
+    ];
+
+    expect(findRelatedPosts(current, posts).map(({ slug }) => slug)).toEqual(['visivel']);
+  });
+
+  test('sem relação nenhuma, devolve os primeiros posts da lista', () => {
+    const posts = [
+      current,
+      post('a', { category: 'Front-end' }),
+      post('b', { category: 'Front-end' }),
+      post('c', { category: 'Front-end' }),
+      post('d', { category: 'Front-end' })
+    ];
+
+    expect(findRelatedPosts(current, posts).map(({ slug }) => slug)).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * @jest-environment jsdom
+ */
+const Fuse = require('fuse.js');
+
+const SEARCH_INDEX = [
+  {
+    title: 'Módulos Java na prática',
+    summary: 'Organização de pacotes e dependências.',
+    url: '/posts/modulos-java.html',
+    category: 'Backend',
+    tags: ['Java', 'Arquitetura'],
+    series: 'Fundamentos de Java',
+    cardHtml: '<article>modulos-java</article>'
+  },
+  {
+    title: 'Componentes Angular',
+    summary: 'Componentes standalone na prática.',
+    url: '/posts/componentes-angular.html',
+    category: 'Front-end',
+    tags: ['Angular'],
+    cardHtml: '<article>componentes-angular</article>'
+  },
+  {
+    title: 'Django com pyenv',
+    summary: 'Ambiente Python previsível.',
+    url: '/posts/django-pyenv.html',
+    category: 'Backend',
+    tags: ['Python'],
+    cardHtml: '<article>django-pyenv</article>'
+  }
+];
+
+const BODY_INDEX = [
+  {
+    url: '/posts/django-pyenv.html',
+    sections: [
+      { id: 'instalacao', heading: 'Instalação', text: 'Use a versão certa para cada projeto.' }
+    ]
+  }
+];
+
+const RESPONSES = {
+  '/blog/search-index.json': SEARCH_INDEX,
+  '/blog/search-body.abc123.json': BODY_INDEX
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function loadSearch(url = '/blog.html') {
+  window.history.replaceState(null, '', url);
+  document.body.innerHTML = `
+    <section data-search-page="blog" data-body-index="/search-body.json">
+      <input id="search-input" type="search">
+      <select id="category-filter">
+        <option value="">Todas</option>
+        <option value="Backend">Backend</option>
+        <option value="Front-end">Front-end</option>
+      </select>
+      <select id="tag-filter">
+        <option value="">Todas</option>
+        <option value="Angular">Angular</option>
+        <option value="Java">Java</option>
+        <option value="Python">Python</option>
+      </select>
+      <p id="search-count">3 artigo(s)</p>
+    </section>
+    <div id="blog-results" data-empty-message="Nenhum artigo encontrado.">
+      <article>pagina-inicial</article>
+    </div>
+    <nav data-pagination></nav>`;
+
+  window.Fuse = Fuse;
+  window.__SITE_BASE_PATH__ = '/blog';
+  window.__ASSET_MANIFEST__ = { '/search-body.json': '/search-body.abc123.json' };
+  global.fetch = jest.fn(async (url) => ({
+    ok: url in RESPONSES,
+    json: async () => RESPONSES[url]
+  }));
+
+  jest.isolateModules(() => require('../src/assets/js/search.js'));
+  await flush();
+}
+
+const $ = (selector) => document.querySelector(selector);
+const results = () =>
+  [...$('#blog-results').querySelectorAll('article')].map((el) => el.textContent);
+
+async function type(value) {
+  $('#search-input').value = value;
+  $('#search-input').dispatchEvent(new Event('input'));
+  await flush();
+}
+
+async function choose(selector, value) {
+  $(selector).value = value;
+  $(selector).dispatchEvent(new Event('change'));
+  await flush();
+}
+
+describe('search.js', () => {
+  beforeEach(() => loadSearch());
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('busca os índices com basePath e manifesto de assets', () => {
+    expect(fetch).toHaveBeenCalledWith('/blog/search-index.json');
+  });
+
+  test('mantém as tags geradas no build, sem recarregar o filtro', () => {
+    const options = [...$('#tag-filter').options].map((option) => option.value);
+
+    expect(options).toEqual(['', 'Angular', 'Java', 'Python']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('filtra por título, resumo e tags com Fuse', async () => {
+    await type('angular');
+
+    expect(results()).toEqual(['componentes-angular']);
+    expect($('#search-count').textContent).toBe('1 artigo(s)');
+    expect($('[data-pagination]').hidden).toBe(true);
+  });
+
+  test('combina categoria e tag', async () => {
+    await choose('#category-filter', 'Backend');
+    expect(results()).toEqual(['modulos-java', 'django-pyenv']);
+
+    await choose('#tag-filter', 'Python');
+    expect(results()).toEqual(['django-pyenv']);
+  });
+
+  test('o termo respeita os filtros ativos', async () => {
+    await choose('#category-filter', 'Front-end');
+    await type('prática');
+
+    expect(results()).toEqual(['componentes-angular']);
+  });
+
+  test('encontra o texto completo sem acentos e destaca o trecho', async () => {
+    await type('versao');
+
+    expect(fetch).toHaveBeenCalledWith('/blog/search-body.abc123.json');
+    expect(results()).toEqual(['django-pyenv']);
+
+    const snippet = $('.search-snippet');
+    expect(snippet.querySelector('a').getAttribute('href')).toBe(
+      '/posts/django-pyenv.html#instalacao'
+    );
+    expect(snippet.querySelector('mark').textContent).toBe('versão');
+  });
+
+  test('mostra a mensagem de vazio quando nada corresponde', async () => {
+    await type('kubernetes');
+
+    expect($('#blog-results').textContent.trim()).toBe('Nenhum artigo encontrado.');
+    expect($('#search-count').textContent).toBe('0 artigo(s)');
+  });
+
+  test('limpar a busca restaura a listagem paginada', async () => {
+    await type('angular');
+    await type('');
+
+    expect(results()).toEqual(['pagina-inicial']);
+    expect($('#search-count').textContent).toBe('3 artigo(s)');
+    expect($('[data-pagination]').hidden).toBe(false);
+  });
+});
+
+describe('search.js: filtros na URL', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('restaura termo, categoria e tag da query string', async () => {
+    await loadSearch('/blog.html?q=pyenv&categoria=Backend&tag=Python');
+
+    expect($('#search-input').value).toBe('pyenv');
+    expect($('#category-filter').value).toBe('Backend');
+    expect($('#tag-filter').value).toBe('Python');
+    expect(results()).toEqual(['django-pyenv']);
+  });
+
+  test('ignora valores que não existem nos filtros', async () => {
+    await loadSearch('/blog.html?categoria=Mobile');
+
+    expect($('#category-filter').value).toBe('');
+    expect(results()).toEqual(['pagina-inicial']);
+  });
+
+  test('grava os filtros com pushState e junta a digitação numa entrada só', async () => {
+    await loadSearch();
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const replaceState = jest.spyOn(window.history, 'replaceState');
+
+    await choose('#category-filter', 'Backend');
+    await type('j');
+    await type('java');
+
+    expect(window.location.search).toBe('?q=java&categoria=Backend');
+    expect(pushState).toHaveBeenCalledTimes(2);
+    expect(replaceState).toHaveBeenCalledTimes(1);
+
+    pushState.mockRestore();
+    replaceState.mockRestore();
+  });
+
+  test('o botão voltar restaura os filtros anteriores', async () => {
+    await loadSearch();
+    await choose('#category-filter', 'Front-end');
+    await choose('#category-filter', 'Backend');
+
+    window.history.replaceState(null, '', '/blog.html?categoria=Front-end');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await flush();
+
+    expect($('#category-filter').value).toBe('Front-end');
+    expect(results()).toEqual(['componentes-angular']);
+  });
+});
+
+describe('search.js: paleta de busca', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input id="outro-campo">
+      <button type="button" data-palette-open hidden>Buscar</button>
+      <div data-search-palette data-index="/search-index.json" data-hint="Dica"
+        data-empty="Nada encontrado" data-unavailable="Indisponível" hidden>
+        <div role="dialog">
+          <input data-palette-input>
+          <ul data-palette-results></ul>
+          <p data-palette-status></p>
+        </div>
+      </div>`;
+
+    window.Fuse = Fuse;
+    window.__SITE_BASE_PATH__ = '/blog';
+    window.__ASSET_MANIFEST__ = {};
+    global.fetch = jest.fn(async (url) => ({
+      ok: url in RESPONSES,
+      json: async () => RESPONSES[url]
+    }));
+
+    jest.isolateModules(() => require('../src/assets/js/search.js'));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const palette = () => $('[data-search-palette]');
+  const paletteInput = () => $('[data-palette-input]');
+  const press = (target, key, options = {}) =>
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+
+  async function search(value) {
+    paletteInput().value = value;
+    paletteInput().dispatchEvent(new Event('input'));
+    await flush();
+  }
+
+  test('abre com "/" ou Ctrl+K e só então carrega o índice', async () => {
+    expect(fetch).not.toHaveBeenCalled();
+    expect($('[data-palette-open]').hidden).toBe(false);
+
+    press(document.body, '/');
+    await flush();
+
+    expect(palette().hidden).toBe(false);
+    expect(document.activeElement).toBe(paletteInput());
+    expect(fetch).toHaveBeenCalledWith('/blog/search-index.json');
+
+    press(paletteInput(), 'Escape');
+    expect(palette().hidden).toBe(true);
+
+    press(document.body, 'k', { ctrlKey: true });
+    expect(palette().hidden).toBe(false);
+  });
+
+  test('"/" digitado num campo de texto não abre a paleta', () => {
+    press($('#outro-campo'), '/');
+
+    expect(palette().hidden).toBe(true);
+  });
+
+  test('as setas percorrem os resultados em ciclo', async () => {
+    press(document.body, '/');
+    await search('pr');
+
+    const options = () => [...palette().querySelectorAll('[role="option"]')];
+    expect(options().length).toBeGreaterThan(1);
+    expect(options()[0].getAttribute('aria-selected')).toBe('true');
+
+    press(paletteInput(), 'ArrowDown');
+    expect(options()[1].getAttribute('aria-selected')).toBe('true');
+    expect(paletteInput().getAttribute('aria-activedescendant')).toBe(options()[1].id);
+
+    press(paletteInput(), 'ArrowUp');
+    press(paletteInput(), 'ArrowUp');
+    expect(options().at(-1).getAttribute('aria-selected')).toBe('true');
+  });
+
+  test('avisa quando nada corresponde', async () => {
+    press(document.body, '/');
+    await search('kubernetes');
+
+    expect(palette().querySelectorAll('[role="option"]')).toHaveLength(0);
+    expect($('[data-palette-status]').textContent).toBe('Nada encontrado');
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { SITE, configure } = require('../scripts/lib/config');
+const { loadSiteConfig } = require('../scripts/lib/site-config');
+
+describe('loadSiteConfig', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const writeConfig = async (file, content) => {
+    const configFile = path.join(workDir, file);
+    await fs.writeFile(configFile, content, 'utf8');
+    return configFile;
+  };
+
+  test('lê site.config.json e site.config.js', async () => {
+    const jsonFile = await writeConfig('site.config.json', '{ "name": "Ana Souza" }');
+    const jsFile = await writeConfig(
+      'site.config.js',
+      "module.exports = { name: 'Ana Souza', build: { postsPerPage: 4 } };"
+    );
+
+    expect(await loadSiteConfig(jsonFile)).toEqual({ name: 'Ana Souza' });
+    expect(await loadSiteConfig(jsFile)).toEqual({ name: 'Ana Souza', build: { postsPerPage: 4 } });
+  });
+
+  test('lista todos os problemas de uma vez', async () => {
+    const configFile = await writeConfig(
+      'site.config.json',
+      JSON.stringify({
+        navigation: ['home', 'contato', { url: '/cv.html' }],
+        social: [{ name: 'GitHub', url: 'github.com/ana' }],
+        seo: { blog: { description: { fr: 'Articles' } } },
+        build: { postsPerPage: 0 },
+        adsClient: 'ca-pub-1'
+      })
+    );
+
+    const error = await loadSiteConfig(configFile).catch((caught) => caught);
+
+    expect(error.message).toContain('(7 problema(s))');
+    expect(error.message).toContain('"name" é obrigatório.');
+    expect(error.message).toContain('"navigation[1]" tem valor "contato" fora da lista');
+    expect(error.message).toContain('"navigation[2].label" é obrigatório.');
+    expect(error.message).toContain('"social[0].url" deve ser uma URL http(s) absoluta.');
+    expect(error.message).toContain('"seo.blog.description" deve ser um texto ou um objeto');
+    expect(error.message).toContain(
+      '"build.postsPerPage" deve ser um número inteiro a partir de 1.'
+    );
+    expect(error.message).toContain('"adsClient" não é um campo conhecido.');
+  });
+
+  test('confere se as imagens existem em src/assets, como no front matter', async () => {
+    await fs.mkdir(path.join(workDir, 'assets', 'images'), { recursive: true });
+    await fs.writeFile(path.join(workDir, 'assets', 'images', 'perfil.png'), '');
+    const configFile = await writeConfig(
+      'site.config.json',
+      JSON.stringify({
+        name: 'Ana Souza',
+        images: { default: '/assets/images/perfil.png', icon: '/assets/images/perfli.png' },
+        seo: { blog: { ogImage: 'https://cdn.exemplo.com/og.png' }, about: { ogImage: 'og.png' } }
+      })
+    );
+
+    const error = await loadSiteConfig(configFile, { srcDir: workDir }).catch((caught) => caught);
+
+    expect(error.message).toContain('(2 problema(s))');
+    expect(error.message).toContain(
+      '"images.icon" aponta para um arquivo que não existe em src/assets: /assets/images/perfli.png.'
+    );
+    expect(error.message).toContain(
+      '"seo.about.ogImage" deve começar com /assets/ (recebido "og.png").'
+    );
+  });
+
+  test('no build publicado recusa páginas e posts sem slot e o slot de exemplo', async () => {
+    const configFile = await writeConfig(
+      'site.config.json',
+      JSON.stringify({
+        name: 'Ana Souza',
+        ads: { client: 'ca-pub-1', slots: { home: '1234567890' }, pages: ['home', 'blog'] }
+      })
+    );
+    await fs.mkdir(path.join(workDir, 'posts'));
+    await fs.writeFile(path.join(workDir, 'posts', 'com-anuncio.md'), '---\nads: true\n---\n');
+    await fs.writeFile(path.join(workDir, 'posts', 'sem-anuncio.md'), '---\ntitle: Post\n---\n');
+    let loadLiveSiteConfig;
+
+    process.env.ADS_LIVE = '1';
+    jest.isolateModules(() => {
+      ({ loadSiteConfig: loadLiveSiteConfig } = require('../scripts/lib/site-config'));
+    });
+    delete process.env.ADS_LIVE;
+
+    const error = await loadLiveSiteConfig(configFile, { srcDir: workDir }).catch(
+      (caught) => caught
+    );
+
+    expect(error.message).toContain('(3 problema(s))');
+    expect(error.message).toContain('"ads.slots.home" usa o ID de exemplo "1234567890"');
+    expect(error.message).toContain('"ads.pages" inclui "blog", mas faltam ads.slots.blog');
+    expect(error.message).toMatch(
+      /faltam ads\.slots\.post e ads\.slots\.default para os posts com "ads: true": \S*com-anuncio\.md\.$/
+    );
+    expect(await loadSiteConfig(configFile)).toEqual(JSON.parse(await fs.readFile(configFile)));
+  });
+
+  test('avisa quando o arquivo informado não existe', async () => {
+    await expect(loadSiteConfig(path.join(workDir, 'outro.json'))).rejects.toThrow(
+      'Arquivo de configuração não encontrado'
+    );
+  });
+});
+
+describe('configure', () => {
+  test('mescla seções campo a campo e normaliza origem e basePath', () => {
+    const { searchBodyIndex } = SITE.build;
+
+    configure({
+      site: {
+        name: 'Ana Souza',
+        origin: 'https://ana.dev/',
+        basePath: 'blog/',
+        build: { postsPerPage: 4 }
+      }
+    });
+
+    expect(SITE.name).toBe('Ana Souza');
+    expect(SITE.origin).toBe('https://ana.dev');
+    expect(SITE.basePath).toBe('/blog');
+    expect(SITE.build).toEqual(expect.objectContaining({ postsPerPage: 4, searchBodyIndex }));
+  });
+});
@@ -0,0 +1,51 @@
+const { renderTemplate } = require('../scripts/lib/template');
+
+describe('renderTemplate', () => {
+  test('escapa {{valor}} e mantém {{{valor}}} sem escape', () => {
+    expect(renderTemplate('<p>{{title}}</p>{{{html}}}', { title: '<b>', html: '<i>ok</i>' })).toBe(
+      '<p>&lt;b&gt;</p><i>ok</i>'
+    );
+  });
+
+  test('resolve caminhos com ponto e ignora valores ausentes', () => {
+    expect(
+      renderTemplate('{{post.author.name}}|{{post.missing}}|{{nada}}', {
+        post: { author: { name: 'Miguel' } }
+      })
+    ).toBe('Miguel||');
+  });
+
+  test('{{#if}} trata listas vazias como falsas e aceita {{else}}', () => {
+    const template = '{{#if tags}}com tags{{else}}sem tags{{/if}}';
+    expect(renderTemplate(template, { tags: ['java'] })).toBe('com tags');
+    expect(renderTemplate(template, { tags: [] })).toBe('sem tags');
+  });
+
+  test('{{#each}} expõe this, @index, @first e @last e cai para o escopo externo', () => {
+    const template =
+      '{{#each items}}{{#if @first}}[{{/if}}{{@index}}:{{this}}@{{section}}{{#if @last}}]{{else}},{{/if}}{{/each}}';
+    expect(renderTemplate(template, { section: 'blog', items: ['a', 'b'] })).toBe(
+      '[0:a@blog,1:b@blog]'
+    );
+  });
+
+  test('{{#each}} renderiza {{else}} quando a lista está vazia', () => {
+    expect(renderTemplate('{{#each posts}}{{title}}{{else}}vazio{{/each}}', { posts: [] })).toBe(
+      'vazio'
+    );
+  });
+
+  test('partials recebem um contexto opcional', () => {
+    const partials = { card: '<a href="{{url}}">{{title}}</a>' };
+    expect(
+      renderTemplate('{{> card post}}', { post: { url: '/a.html', title: 'A & B' } }, partials)
+    ).toBe('<a href="/a.html">A &amp; B</a>');
+  });
+
+  test('erros de estrutura são informados', () => {
+    expect(() => renderTemplate('{{#if a}}sem fim', {})).toThrow('sem fechamento');
+    expect(() => renderTemplate('{{/each}}', {})).toThrow('sem o bloco de abertura');
+    expect(() => renderTemplate('{{else}}', {})).toThrow('fora de um bloco');
+    expect(() => renderTemplate('{{> inexistente}}', {})).toThrow('Partial não encontrado');
+  });
+});
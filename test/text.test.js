@@ -0,0 +1,33 @@
+const { slugify, escapeXml } = require('../scripts/lib/text');
+
+describe('slugify', () => {
+  test('remove acentos e normaliza separadores', () => {
+    expect(slugify('Inteligência Artificial')).toBe('inteligencia-artificial');
+    expect(slugify('  Django + VS Code + pyenv!  ')).toBe('django-vs-code-pyenv');
+  });
+
+  test('descarta hífens nas pontas', () => {
+    expect(slugify('--Front-end--')).toBe('front-end');
+    expect(slugify('C#')).toBe('c');
+  });
+
+  test('limita o tamanho a 80 caracteres', () => {
+    expect(slugify('a'.repeat(120))).toHaveLength(80);
+  });
+
+  test('aceita valores que não são string', () => {
+    expect(slugify(2026)).toBe('2026');
+  });
+});
+
+describe('escapeXml', () => {
+  test('escapa os caracteres reservados do XML', () => {
+    expect(escapeXml(`Tom & "Jerry" <'1'>`)).toBe(
+      'Tom &amp; &quot;Jerry&quot; &lt;&#39;1&#39;&gt;'
+    );
+  });
+
+  test('não deixa entidades já escapadas passarem intactas', () => {
+    expect(escapeXml('&amp;')).toBe('&amp;amp;');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+const baseTemplate = fs.readFileSync(
+  path.join(__dirname, '..', 'src', 'templates', 'base.html'),
+  'utf8'
+);
+const inlineThemeScript = baseTemplate.match(/<script>\s*(\(function \(\) \{[\s\S]*?\}\)\(\);)/)[1];
+
+const mockColorScheme = (dark) => {
+  const listeners = [];
+  window.matchMedia = jest.fn(() => ({
+    matches: dark,
+    addEventListener: (type, listener) => listeners.push(listener)
+  }));
+  return (matches) => listeners.forEach((listener) => listener({ matches }));
+};
+
+describe('tema claro/escuro', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.documentElement.removeAttribute('data-theme');
+    document.body.innerHTML =
+      '<button type="button" data-theme-toggle aria-pressed="false" hidden></button>';
+  });
+
+  const runInlineScript = () => window.eval(inlineThemeScript);
+  const loadMain = () => jest.isolateModules(() => require('../src/assets/js/main.js'));
+
+  test('antes da primeira pintura usa a escolha salva ou a preferência do sistema', () => {
+    mockColorScheme(true);
+    runInlineScript();
+    expect(document.documentElement.dataset.theme).toBe('dark');
+
+    localStorage.setItem('tema', 'light');
+    runInlineScript();
+    expect(document.documentElement.dataset.theme).toBe('light');
+  });
+
+  test('o botão alterna o tema e salva a escolha', () => {
+    mockColorScheme(false);
+    runInlineScript();
+    loadMain();
+
+    const button = document.querySelector('[data-theme-toggle]');
+    expect(button.hidden).toBe(false);
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+
+    button.click();
+
+    expect(document.documentElement.dataset.theme).toBe('dark');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(localStorage.getItem('tema')).toBe('dark');
+  });
+
+  test('acompanha o sistema só enquanto não houver escolha salva', () => {
+    const changeColorScheme = mockColorScheme(false);
+    runInlineScript();
+    loadMain();
+
+    changeColorScheme(true);
+    expect(document.documentElement.dataset.theme).toBe('dark');
+
+    document.querySelector('[data-theme-toggle]').click();
+    changeColorScheme(true);
+    expect(document.documentElement.dataset.theme).toBe('light');
+  });
+});
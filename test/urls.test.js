@@ -0,0 +1,115 @@
+const {
+  configure,
+  inferBasePathFromRepository,
+  inferDefaultOrigin,
+  normalizeBasePath,
+  normalizeOrigin
+} = require('../scripts/lib/config');
+const { isExternalLink, toPublicUrl, toAbsoluteUrl } = require('../scripts/lib/urls');
+
+describe('inferBasePathFromRepository', () => {
+  test('repositório de usuário é publicado na raiz', () => {
+    expect(inferBasePathFromRepository('miguel-br-dl/miguel-br-dl.github.io')).toBe('');
+    expect(inferBasePathFromRepository('Miguel-BR-DL/miguel-br-dl.GitHub.io')).toBe('');
+  });
+
+  test('repositório de projeto é publicado em /<repo>', () => {
+    expect(inferBasePathFromRepository('miguel-br-dl/blog')).toBe('/blog');
+    expect(inferBasePathFromRepository('outra-pessoa/miguel-br-dl.github.io')).toBe(
+      '/miguel-br-dl.github.io'
+    );
+  });
+
+  test('sem repositório não há basePath', () => {
+    expect(inferBasePathFromRepository('')).toBe('');
+    expect(inferBasePathFromRepository('sem-barra')).toBe('');
+  });
+});
+
+describe('normalizeBasePath', () => {
+  test.each([
+    ['', ''],
+    ['/', ''],
+    ['blog', '/blog'],
+    ['/blog/', '/blog'],
+    ['//blog//', '/blog'],
+    [' /docs/site ', '/docs/site']
+  ])('%p vira %p', (input, expected) => {
+    expect(normalizeBasePath(input)).toBe(expected);
+  });
+});
+
+describe('normalizeOrigin e inferDefaultOrigin', () => {
+  test('remove barras finais e usa o domínio padrão quando vazio', () => {
+    expect(normalizeOrigin('https://exemplo.dev///')).toBe('https://exemplo.dev');
+    expect(normalizeOrigin('')).toBe('https://miguel-br-dl.github.io');
+  });
+
+  test('deriva a origem do dono do repositório', () => {
+    expect(inferDefaultOrigin('outra-pessoa')).toBe('https://outra-pessoa.github.io');
+    expect(inferDefaultOrigin('')).toBe('https://miguel-br-dl.github.io');
+  });
+});
+
+describe('URLs públicas', () => {
+  describe('publicado na raiz', () => {
+    beforeEach(() => {
+      configure({ site: { origin: 'https://miguel-br-dl.github.io/', basePath: '/' } });
+    });
+
+    test('toPublicUrl mantém caminhos relativos à raiz', () => {
+      expect(toPublicUrl('/blog.html')).toBe('/blog.html');
+      expect(toPublicUrl('posts/a.html')).toBe('/posts/a.html');
+      expect(toPublicUrl('')).toBe('/');
+    });
+
+    test('toAbsoluteUrl usa a origem do site', () => {
+      expect(toAbsoluteUrl('/blog.html')).toBe('https://miguel-br-dl.github.io/blog.html');
+      expect(toAbsoluteUrl('/')).toBe('https://miguel-br-dl.github.io/');
+    });
+  });
+
+  describe('publicado em um subdiretório', () => {
+    beforeEach(() => {
+      configure({ site: { origin: 'https://outra-pessoa.github.io', basePath: 'blog/' } });
+    });
+
+    test('toPublicUrl prefixa o basePath', () => {
+      expect(toPublicUrl('/blog.html')).toBe('/blog/blog.html');
+      expect(toPublicUrl('tags/java.html')).toBe('/blog/tags/java.html');
+      expect(toPublicUrl('/')).toBe('/blog/');
+    });
+
+    test('toAbsoluteUrl combina origem e basePath', () => {
+      expect(toAbsoluteUrl('/posts/a.html')).toBe(
+        'https://outra-pessoa.github.io/blog/posts/a.html'
+      );
+      expect(toAbsoluteUrl('/')).toBe('https://outra-pessoa.github.io/blog/');
+    });
+
+    test('URLs absolutas passam intactas', () => {
+      expect(toPublicUrl('https://exemplo.dev/a')).toBe('https://exemplo.dev/a');
+      expect(toAbsoluteUrl('http://exemplo.dev/a')).toBe('http://exemplo.dev/a');
+    });
+  });
+});
+
+describe('isExternalLink', () => {
+  beforeEach(() => {
+    configure({ site: { origin: 'https://miguel-br-dl.github.io', basePath: '' } });
+  });
+
+  test('links de outras origens são externos', () => {
+    expect(isExternalLink('https://github.com/miguel-br-dl')).toBe(true);
+  });
+
+  test('links internos, âncoras e esquemas especiais não são externos', () => {
+    expect(isExternalLink('/blog.html')).toBe(false);
+    expect(isExternalLink('#secao')).toBe(false);
+    expect(isExternalLink('posts/a.html')).toBe(false);
+    expect(isExternalLink('https://miguel-br-dl.github.io/about.html')).toBe(false);
+    expect(isExternalLink('mailto:contato@exemplo.dev')).toBe(false);
+    expect(isExternalLink('')).toBe(false);
+    expect(isExternalLink(undefined)).toBe(false);
+  });
+});